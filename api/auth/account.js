@@ -0,0 +1,70 @@
+/**
+ * A mother's own data: a machine-readable export of everything stored
+ * about her, and deleting all of it when she closes her account.
+ *
+ * Her data is the mothers item, her babies (with their administered
+ * history), their reminders, the shares of her babies and the babies
+ * shared with her, and her login sessions. Password hashes, reset codes,
+ * invite tokens and session token hashes are left out of the export.
+ */
+import { clearReminders } from '../reminders/planner.js';
+import { revokeAllSessions } from './sessions.js';
+import { normalizeEmail } from './ratelimit.js';
+import { clearShares, publicShare } from './shares.js';
+
+// The mothers item without credentials
+function profileOf(mother) {
+  const { hashed_password, password_reset, ...user } = mother.user ?? {};
+  return { ...mother, user };
+}
+
+/**
+ * Everything stored about `mother` (a mothers item) as plain JSON.
+ */
+export async function exportAccount(db, mother, { now = new Date() } = {}) {
+  const babies = await db.babies.listByMother(mother.userId);
+  const reminders = [];
+  const shares = [];
+  for (const baby of babies) {
+    reminders.push(...await db.reminders.listByBaby(baby.babyId));
+    shares.push(...await db.babyShares.listByBaby(baby.babyId));
+  }
+  const sharedWithMe = await db.babyShares.listByCaregiver(mother.userId);
+  const sessions = await db.sessions.listByUser(mother.userId);
+
+  return {
+    exported_at: now.toISOString(),
+    profile: profileOf(mother),
+    babies: babies.map(b => ({ ...b, administered: b.administered ?? [] })),
+    reminders,
+    shares: shares.map(publicShare),
+    shared_with_me: sharedWithMe.map(publicShare),
+    sessions: sessions.map(({ created_at, last_used_at, expires_at }) => ({
+      created_at, last_used_at, expires_at
+    }))
+  };
+}
+
+/**
+ * Deletes `mother` with her babies, their reminders and shares, her own
+ * access to babies shared with her, invites still pending to her email,
+ * and her sessions. Reminders go first
+ * so none is sent halfway through. Returns counts of what was removed.
+ */
+export async function deleteAccount(db, mother) {
+  const babies = await db.babies.listByMother(mother.userId);
+  let reminders = 0;
+  for (const baby of babies) {
+    reminders += await clearReminders(db, baby.babyId);
+    await clearShares(db, baby.babyId);
+    await db.babies.delete(baby.babyId);
+  }
+  const grants = await db.babyShares.listByCaregiver(mother.userId);
+  const invites = mother.email
+    ? (await db.babyShares.listByEmail(normalizeEmail(mother.email))).filter(s => s.status === 'pending')
+    : [];
+  await db.babyShares.deleteMany([...grants, ...invites].map(s => s.shareId));
+  const sessions = await revokeAllSessions(db, mother.userId);
+  await db.mothers.delete(mother.userId);
+  return { babies: babies.length, reminders, sessions };
+}
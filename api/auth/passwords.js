@@ -0,0 +1,166 @@
+/**
+ * Password policy, password storage and the forgot-password flow.
+ *
+ * New passwords must satisfy PASSWORD_POLICY: a length range and, unless
+ * disabled, not be on the bundled list of common passwords
+ * (common-passwords.txt). Schemas enforce it with `passwordPolicy: true`.
+ *
+ * A forgotten password is replaced with a 6-digit code mailed to the
+ * mother. Only a bcrypt hash of the code is kept, on her record under
+ * `user.password_reset`; it expires after RESET_CODE_TTL_MINUTES, dies
+ * after MAX_CODE_ATTEMPTS wrong guesses and is deleted once used. Codes are
+ * issued at most RESET_REQUESTS_PER_HOUR times an hour per email.
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import bcrypt from 'bcrypt';
+import { revokeAllSessions } from './sessions.js';
+
+const BCRYPT_ROUNDS = 10;
+
+// --- Policy ---
+
+export const PASSWORD_POLICY = {
+  minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 8,
+  // bcrypt ignores everything after the first 72 bytes
+  maxBytes: Number(process.env.PASSWORD_MAX_BYTES) || 72,
+  rejectCommon: process.env.PASSWORD_REJECT_COMMON !== 'false'
+};
+
+let commonPasswords;
+
+function isCommonPassword(password) {
+  commonPasswords ??= new Set(
+    fs.readFileSync(new URL('./common-passwords.txt', import.meta.url), 'utf8')
+      .split('\n')
+      .map(line => line.trim().toLowerCase())
+      .filter(line => line && !line.startsWith('#'))
+  );
+  return commonPasswords.has(password.toLowerCase());
+}
+
+/**
+ * Ways `password` breaks PASSWORD_POLICY, as messages; empty if none.
+ */
+export function passwordPolicyErrors(password) {
+  const errors = [];
+  if ([...password].length < PASSWORD_POLICY.minLength) {
+    errors.push(`must be at least ${PASSWORD_POLICY.minLength} characters long`);
+  }
+  if (Buffer.byteLength(password) > PASSWORD_POLICY.maxBytes) {
+    errors.push(`must be at most ${PASSWORD_POLICY.maxBytes} bytes long`);
+  }
+  if (PASSWORD_POLICY.rejectCommon && isCommonPassword(password)) {
+    errors.push('is too common; choose one that is harder to guess');
+  }
+  return errors;
+}
+
+/**
+ * Ajv keyword `passwordPolicy: true` for string properties, reporting each
+ * passwordPolicyErrors() message (registered on the validator in server.js).
+ */
+export const passwordPolicyKeyword = {
+  keyword: 'passwordPolicy',
+  type: 'string',
+  schemaType: 'boolean',
+  errors: true,
+  validate: function validatePasswordPolicy(enabled, password) {
+    const messages = enabled ? passwordPolicyErrors(password) : [];
+    validatePasswordPolicy.errors = messages.map(message => ({ keyword: 'passwordPolicy', message, params: {} }));
+    return messages.length === 0;
+  }
+};
+
+// --- Storage ---
+export const RESET_CODE_TTL_MINUTES = Number(process.env.RESET_CODE_TTL_MINUTES) || 15;
+export const RESET_REQUESTS_PER_HOUR = Number(process.env.RESET_REQUESTS_PER_HOUR) || 3;
+const MAX_CODE_ATTEMPTS = 5;
+const HOUR_MS = 60 * 60 * 1000;
+
+export function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+// Compared against when there is no account, so a login for an unknown
+// email takes as long as one with a wrong password.
+let dummyHash;
+
+/**
+ * True if `password` is the mother's password; false for a null mother.
+ */
+export async function checkPassword(mother, password) {
+  if (!mother) {
+    dummyHash ??= bcrypt.hash('no such account', BCRYPT_ROUNDS);
+    await bcrypt.compare(String(password), await dummyHash);
+    return false;
+  }
+  return bcrypt.compare(String(password), mother.user.hashed_password);
+}
+
+/**
+ * Replaces the mother's password and ends all of her sessions (any
+ * pending reset code goes too). Returns the updated record.
+ */
+export async function setPassword(db, userId, newPassword) {
+  const updated = await db.mothers.update(userId, {
+    'user.hashed_password': await hashPassword(newPassword),
+    'user.must_reset_password': false,
+    'user.password_changed_at': new Date().toISOString(),
+    'user.password_reset': undefined
+  });
+  await revokeAllSessions(db, userId);
+  return updated;
+}
+
+// --- Forgot password ---
+
+/**
+ * Creates a reset code for `mother`, replacing any earlier one. Returns
+ * { code } to mail, or { limited: true } when she already asked
+ * RESET_REQUESTS_PER_HOUR times in the last hour.
+ */
+export async function issueResetCode(db, mother, { now = new Date() } = {}) {
+  const recent = (mother.user.password_reset?.requested_at || [])
+    .filter(at => now - new Date(at) < HOUR_MS);
+  if (recent.length >= RESET_REQUESTS_PER_HOUR) {
+    return { limited: true };
+  }
+
+  const code = crypto.randomInt(0, 1_000_000).toString().padStart(6, '0');
+  await db.mothers.update(mother.userId, {
+    'user.password_reset': {
+      code_hash: await bcrypt.hash(code, BCRYPT_ROUNDS),
+      expires_at: new Date(now.getTime() + RESET_CODE_TTL_MINUTES * 60 * 1000).toISOString(),
+      attempts: 0,
+      requested_at: [...recent, now.toISOString()]
+    }
+  });
+  return { code };
+}
+
+/**
+ * Checks `code` against the mother's pending reset code. Every guess
+ * counts towards MAX_CODE_ATTEMPTS; the caller must setPassword() on
+ * success, which uses the code up.
+ *
+ * The attempt is counted before the code is checked, with a conditional
+ * write on the current count, so parallel guesses each take their own
+ * attempt and never more than MAX_CODE_ATTEMPTS are checked.
+ */
+export async function verifyResetCode(db, mother, code, { now = new Date() } = {}) {
+  let reset = mother.user.password_reset;
+  for (;;) {
+    if (!reset?.code_hash || new Date(reset.expires_at) <= now || reset.attempts >= MAX_CODE_ATTEMPTS) {
+      return false;
+    }
+    const counted = await db.mothers.update(mother.userId, {
+      'user.password_reset.attempts': reset.attempts + 1
+    }, { when: { 'user.password_reset.attempts': reset.attempts } });
+    if (counted) {
+      return bcrypt.compare(String(code), counted.user.password_reset.code_hash);
+    }
+    // Another guess (or a new code) got in first: start over from the stored state
+    reset = (await db.mothers.get(mother.userId))?.user?.password_reset;
+  }
+}
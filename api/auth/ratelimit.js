@@ -0,0 +1,175 @@
+/**
+ * Rate limiting and login lockout for the auth endpoints.
+ *
+ * Counters live in a pluggable store (createCounterStore):
+ *
+ *   memory  a Map in this process; fine for a single local server
+ *   table   the rate_limits table, shared by every Lambda instance
+ *
+ * Either store implements:
+ *
+ *   increment(key, windowMs) -> { count, resetAt }  fixed-window counter
+ *   get(key) / set(key, value, ttlMs) / delete(key)  expiring values
+ *
+ * Over-limit requests get a 429 with a Retry-After header (tooManyRequests).
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Failed logins before an account is locked, the first lock's length
+// (doubling with each further failure) and the longest lock.
+export const LOGIN_LOCKOUT_THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOCKOUT_BASE_MS = MINUTE_MS;
+const LOCKOUT_MAX_MS = HOUR_MS;
+// Failures are forgotten after a day without a successful login.
+const FAILURES_TTL_MS = 24 * HOUR_MS;
+
+/**
+ * Per-IP and per-account limits, as { limit, windowMs }.
+ */
+export const AUTH_RATE_LIMITS = {
+  signupIp: { limit: 10, windowMs: HOUR_MS },
+  signupEmail: { limit: 3, windowMs: HOUR_MS },
+  loginIp: { limit: 30, windowMs: 15 * MINUTE_MS },
+  forgotPasswordIp: { limit: 10, windowMs: HOUR_MS },
+  resetCodeIp: { limit: 20, windowMs: 15 * MINUTE_MS },
+  resetCodeEmail: { limit: 10, windowMs: 15 * MINUTE_MS },
+  passwordChangeIp: { limit: 10, windowMs: 15 * MINUTE_MS },
+  tokenRefreshIp: { limit: 60, windowMs: 15 * MINUTE_MS },
+  accountDeleteIp: { limit: 10, windowMs: 15 * MINUTE_MS },
+  shareInviteIp: { limit: 20, windowMs: HOUR_MS }
+};
+
+export const normalizeEmail = (email) => String(email ?? '').trim().toLowerCase();
+
+export function createMemoryCounterStore() {
+  const entries = new Map();
+  const live = (key, now = Date.now()) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      const entry = live(key, now) || { count: 0, expiresAt: now + windowMs };
+      entry.count += 1;
+      entries.set(key, entry);
+      return { count: entry.count, resetAt: entry.expiresAt };
+    },
+    async get(key) {
+      return live(key)?.value ?? null;
+    },
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+/**
+ * Store over the rate_limits repository. Windows are aligned buckets
+ * ("<key>#<bucket>") so each hit is a single atomic increment; `ttl` lets
+ * DynamoDB purge old items.
+ */
+export function createTableCounterStore(rateLimits) {
+  const expiry = (expiresAt) => ({ expires_at: expiresAt, ttl: Math.ceil(expiresAt / 1000) });
+
+  return {
+    async increment(key, windowMs) {
+      const bucket = Math.floor(Date.now() / windowMs);
+      const resetAt = (bucket + 1) * windowMs;
+      const item = await rateLimits.increment(`${key}#${bucket}`, expiry(resetAt));
+      return { count: item.count, resetAt };
+    },
+    async get(key) {
+      const item = await rateLimits.get(key);
+      return item && item.expires_at > Date.now() ? item.value : null;
+    },
+    async set(key, value, ttlMs) {
+      await rateLimits.put({ key, value, ...expiry(Date.now() + ttlMs) });
+    },
+    async delete(key) {
+      await rateLimits.delete(key);
+    }
+  };
+}
+
+/**
+ * The store chosen by RATE_LIMIT_STORE ("memory" | "table"); defaults to
+ * memory for the local storage driver and the table otherwise.
+ */
+export function createCounterStore(db) {
+  const kind = process.env.RATE_LIMIT_STORE ||
+    ((process.env.DB_DRIVER || 'dynamodb') === 'memory' ? 'memory' : 'table');
+  return kind === 'memory' ? createMemoryCounterStore() : createTableCounterStore(db.rateLimits);
+}
+
+/**
+ * Sends the standard 429 response.
+ */
+export function tooManyRequests(res, retryAfterMs) {
+  res.set('Retry-After', String(Math.max(1, Math.ceil(retryAfterMs / 1000))));
+  return res.status(429).json({ error: 'Too many attempts. Please try again later.' });
+}
+
+export function createRateLimiter(store) {
+  /**
+   * Express middleware allowing `limit` requests per `windowMs` for each
+   * value of `key(req)` (the client IP by default; requests without a key
+   * are not counted). A failing store lets requests through.
+   */
+  function limit(name, { limit, windowMs }, key = (req) => req.ip) {
+    return async (req, res, next) => {
+      try {
+        const id = key(req);
+        if (id) {
+          const { count, resetAt } = await store.increment(`${name}:${id}`, windowMs);
+          if (count > limit) {
+            return tooManyRequests(res, resetAt - Date.now());
+          }
+        }
+      } catch (err) {
+        console.error('Rate limit error:', err);
+      }
+      next();
+    };
+  }
+
+  const failuresKey = (email) => `login-failures:${normalizeEmail(email)}`;
+
+  /**
+   * Milliseconds the account `email` stays locked, 0 if it is not.
+   */
+  async function loginLockedFor(email) {
+    const state = await store.get(failuresKey(email));
+    return Math.max(0, (state?.lockedUntil ?? 0) - Date.now());
+  }
+
+  /**
+   * Counts a failed login; from LOGIN_LOCKOUT_THRESHOLD failures on, each
+   * one locks the account for twice as long as the last (up to an hour).
+   * Returns how long the account is now locked for (ms).
+   */
+  async function recordLoginFailure(email) {
+    const failures = ((await store.get(failuresKey(email)))?.failures ?? 0) + 1;
+    const lockMs = failures < LOGIN_LOCKOUT_THRESHOLD
+      ? 0
+      : Math.min(LOCKOUT_BASE_MS * 2 ** (failures - LOGIN_LOCKOUT_THRESHOLD), LOCKOUT_MAX_MS);
+    await store.set(failuresKey(email), { failures, lockedUntil: Date.now() + lockMs }, FAILURES_TTL_MS);
+    return lockMs;
+  }
+
+  function clearLoginFailures(email) {
+    return store.delete(failuresKey(email));
+  }
+
+  return { limit, loginLockedFor, recordLoginFailure, clearLoginFailures };
+}
@@ -0,0 +1,61 @@
+/**
+ * Roles and the access rules built on them. A user's roles live in the
+ * `roles` attribute of their record (none = mother) and are copied into
+ * the JWT at login, along with the clinic a health worker belongs to.
+ *
+ *   mother         owns her babies (every baby route), and may share them
+ *                  with co-caregivers (auth/shares.js)
+ *   health_worker  views and records vaccinations for babies linked to
+ *                  their clinic (`baby.clinicId`)
+ *   admin          manages vaccination schedules and user roles
+ */
+export const ROLES = {
+  MOTHER: 'mother',
+  HEALTH_WORKER: 'health_worker',
+  ADMIN: 'admin'
+};
+
+export const ALL_ROLES = Object.values(ROLES);
+
+/**
+ * Roles of a user record or token payload; users without any are mothers.
+ */
+export function rolesOf(user) {
+  return user?.roles?.length ? user.roles : [ROLES.MOTHER];
+}
+
+export function hasAnyRole(user, roles) {
+  return rolesOf(user).some(role => roles.includes(role));
+}
+
+/**
+ * JWT payload for a user record.
+ */
+export function tokenClaims(record) {
+  return {
+    userId: record.userId,
+    email: record.email,
+    roles: rolesOf(record),
+    ...(record.clinic_id && { clinicId: record.clinic_id })
+  };
+}
+
+/**
+ * Whether `user` (a token payload) may act on `baby`:
+ *   "view"   read vaccination history, plans and reminders
+ *   "record" mark vaccines as administered
+ *   "manage" anything else (details, reminders, settings, sharing) — owner only
+ *
+ * `grant` is the user's active share of the baby, if any (see
+ * auth/shares.js): "view" shares may view, "edit" shares may also record.
+ */
+export function canAccessBaby(user, baby, permission, grant = null) {
+  if (baby.motherUserId === user.userId) return true;
+  if (permission === 'manage') return false;
+  if (grant?.status === 'active' && grant.caregiverUserId === user.userId &&
+      (permission === 'view' || grant.permission === 'edit')) {
+    return true;
+  }
+  return hasAnyRole(user, [ROLES.HEALTH_WORKER]) &&
+    !!user.clinicId && baby.clinicId === user.clinicId;
+}
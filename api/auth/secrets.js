@@ -0,0 +1,16 @@
+/**
+ * Hashing for the opaque secrets handed out in tokens (refresh tokens,
+ * caregiver invites). Only the hash is stored, and stored hashes are
+ * compared in constant time.
+ */
+import crypto from 'crypto';
+
+export const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * True if the two hashes are present and equal, compared in constant time.
+ */
+export function sameHash(a, b) {
+  return !!a && !!b && a.length === b.length &&
+    crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
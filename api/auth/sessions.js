@@ -0,0 +1,122 @@
+/**
+ * Login sessions. Each login starts a session, stored server-side, which
+ * hands out two tokens:
+ *
+ *   - a short-lived access JWT (JWT_EXPIRES_IN, default 15m) carrying the
+ *     user's claims and the session id (`sid`); authenticateToken rejects
+ *     it as soon as its session is gone;
+ *   - an opaque refresh token "<sessionId>.<secret>", of which only a hash
+ *     is stored. Every refresh rotates the secret; presenting an already
+ *     rotated token means it was copied, so the whole session is revoked.
+ *
+ * Logging out deletes the session; a password change deletes them all.
+ */
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import { tokenClaims } from './roles.js';
+import { hashSecret, sameHash } from './secrets.js';
+
+export const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+export const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+function issueTokens(user, sessionId, secret) {
+  return {
+    accessToken: jwt.sign(
+      { ...tokenClaims(user), sid: sessionId },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL }
+    ),
+    refreshToken: `${sessionId}.${secret}`,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+}
+
+/**
+ * Starts a session for `user` (a mother record). Returns
+ * { accessToken, refreshToken, expiresIn }.
+ */
+export async function startSession(db, user) {
+  const sessionId = uuidv4();
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  await db.sessions.create({
+    sessionId,
+    userId: user.userId,
+    token_hash: hashSecret(secret),
+    created_at: now.toISOString(),
+    last_used_at: now.toISOString(),
+    expires_at: expiresAt.toISOString(),
+    // DynamoDB TTL attribute (epoch seconds), so expired sessions get purged
+    ttl: Math.floor(expiresAt.getTime() / 1000)
+  });
+  return issueTokens(user, sessionId, secret);
+}
+
+/**
+ * The session `sessionId` if it exists and has not expired, else null.
+ */
+export async function activeSession(db, sessionId) {
+  if (!sessionId) return null;
+  const session = await db.sessions.get(sessionId);
+  if (!session || new Date(session.expires_at) <= new Date()) return null;
+  return session;
+}
+
+/**
+ * Exchanges a refresh token for new tokens, rotating its secret. Returns
+ * null if the token is unknown, expired or a replay (which also revokes
+ * the session).
+ */
+export async function refreshSession(db, refreshToken) {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  const session = await activeSession(db, sessionId);
+  if (!session || !secret) return null;
+
+  const hash = hashSecret(secret);
+  if (!sameHash(hash, session.token_hash)) {
+    if (sameHash(hash, session.previous_hash)) {
+      console.warn(`Refresh token reused for session ${sessionId}; revoking it`);
+      await endSession(db, sessionId);
+    }
+    return null;
+  }
+
+  const user = await db.mothers.get(session.userId);
+  if (!user) {
+    await endSession(db, sessionId);
+    return null;
+  }
+
+  // Claims are re-read from the user record, so role changes apply here too.
+  // Only one refresh can rotate this secret: if another got there first,
+  // the token was used twice and is treated as a replay.
+  const next = crypto.randomBytes(32).toString('base64url');
+  const rotated = await db.sessions.update(sessionId, {
+    token_hash: hashSecret(next),
+    previous_hash: hash,
+    last_used_at: new Date().toISOString()
+  }, { when: { token_hash: session.token_hash } });
+  if (!rotated) {
+    console.warn(`Concurrent refresh for session ${sessionId}; revoking it`);
+    await endSession(db, sessionId);
+    return null;
+  }
+  return issueTokens(user, sessionId, next);
+}
+
+export async function endSession(db, sessionId) {
+  await db.sessions.delete(sessionId);
+}
+
+/**
+ * Ends every session of `userId` (e.g. after a password change). Returns
+ * how many there were.
+ */
+export async function revokeAllSessions(db, userId) {
+  const sessions = await db.sessions.listByUser(userId);
+  await db.sessions.deleteMany(sessions.map(s => s.sessionId));
+  return sessions.length;
+}
@@ -0,0 +1,125 @@
+/**
+ * Sharing a baby with co-caregivers (a father, grandparent, nanny...).
+ *
+ * The owner invites someone by email with a permission:
+ *
+ *   view  see the baby's vaccination history, plans and reminders, and
+ *         receive its reminders
+ *   edit  the same, plus record vaccinations
+ *
+ * The invite mails an opaque token "<shareId>.<secret>" (only a hash is
+ * stored); the invited person accepts it while logged in with that email,
+ * which turns the share into an active grant for their user id. Only the
+ * owner can manage the baby itself or its shares.
+ *
+ * Share items live in the baby_shares table:
+ *   { shareId, babyId, ownerUserId, email, permission, status: 'pending' | 'active',
+ *     token_hash, invited_at, expires_at, caregiverUserId?, accepted_at? }
+ */
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { normalizeEmail } from './ratelimit.js';
+import { hashSecret, sameHash } from './secrets.js';
+
+export const SHARE_PERMISSIONS = ['view', 'edit'];
+export const SHARE_INVITE_TTL_DAYS = Number(process.env.SHARE_INVITE_TTL_DAYS) || 7;
+
+/**
+ * A share as shown to the owner (no token hash).
+ */
+export function publicShare(share) {
+  return {
+    shareId: share.shareId,
+    babyId: share.babyId,
+    email: share.email,
+    permission: share.permission,
+    status: share.status,
+    invitedAt: share.invited_at,
+    expiresAt: share.status === 'pending' ? share.expires_at : null,
+    acceptedAt: share.accepted_at ?? null
+  };
+}
+
+/**
+ * Invites `email` to `baby` with `permission`. Inviting an email that
+ * already has a pending invite replaces it (new token, new permission).
+ * Returns { share, token }, or { conflict: true } if that email already
+ * has access.
+ */
+export async function inviteCaregiver(db, baby, { email, permission }, { now = new Date() } = {}) {
+  email = normalizeEmail(email);
+  const existing = (await db.babyShares.listByBaby(baby.babyId)).filter(s => s.email === email);
+  if (existing.some(s => s.status === 'active')) return { conflict: true };
+  await db.babyShares.deleteMany(existing.map(s => s.shareId));
+
+  const shareId = uuidv4();
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(now.getTime() + SHARE_INVITE_TTL_DAYS * 24 * 60 * 60 * 1000);
+  const share = {
+    shareId,
+    babyId: baby.babyId,
+    ownerUserId: baby.motherUserId,
+    email,
+    permission,
+    status: 'pending',
+    token_hash: hashSecret(secret),
+    invited_at: now.toISOString(),
+    expires_at: expiresAt.toISOString()
+  };
+  await db.babyShares.create(share);
+  return { share, token: `${shareId}.${secret}` };
+}
+
+/**
+ * Accepts an invite token on behalf of `user` (a token payload). Returns
+ * { share } or { error } with one of:
+ *   invalid   unknown, already used or tampered token
+ *   expired   the invite is older than SHARE_INVITE_TTL_DAYS
+ *   mismatch  the invite was sent to another email address
+ *   owner     the user owns the baby already
+ */
+export async function acceptInvite(db, token, user, { now = new Date() } = {}) {
+  const [shareId, secret] = String(token).split('.');
+  const share = shareId && secret ? await db.babyShares.get(shareId) : null;
+  if (!share || share.status !== 'pending' || !sameHash(share.token_hash, hashSecret(secret))) {
+    return { error: 'invalid' };
+  }
+  if (new Date(share.expires_at) <= now) return { error: 'expired' };
+  if (share.email !== normalizeEmail(user.email)) return { error: 'mismatch' };
+  if (share.ownerUserId === user.userId) return { error: 'owner' };
+
+  const accepted = await db.babyShares.update(shareId, {
+    status: 'active',
+    caregiverUserId: user.userId,
+    accepted_at: now.toISOString(),
+    token_hash: undefined,
+    expires_at: undefined
+  });
+  return { share: accepted };
+}
+
+/**
+ * The active grant giving `userId` access to `babyId`, or null.
+ */
+export async function activeGrant(db, babyId, userId) {
+  const shares = await db.babyShares.listByBaby(babyId);
+  return shares.find(s => s.status === 'active' && s.caregiverUserId === userId) || null;
+}
+
+/**
+ * Active grants held by `userId`, i.e. the babies shared with them.
+ */
+export async function grantsOf(db, userId) {
+  const shares = await db.babyShares.listByCaregiver(userId);
+  return shares.filter(s => s.status === 'active');
+}
+
+/**
+ * Removes every share of `babyId` (when the baby is deleted). Returns the
+ * number removed.
+ */
+export async function clearShares(db, babyId) {
+  const shares = await db.babyShares.listByBaby(babyId);
+  await db.babyShares.deleteMany(shares.map(s => s.shareId));
+  return shares.length;
+}
@@ -1,41 +1,71 @@
 import dotenv from 'dotenv';
 import { DynamoDBClient, ListTablesCommand } from "@aws-sdk/client-dynamodb";
 import { DynamoDBDocumentClient } from "@aws-sdk/lib-dynamodb";
+import { TABLES } from './storage/tables.js';
+import { createDynamoTable } from './storage/dynamo.js';
+import { createMemoryStore } from './storage/memory.js';
+import { createRepositories } from './storage/repositories.js';
+import { SCHEDULE_SEED } from './storage/seed.js';
 
 dotenv.config();
 
 const REGION = process.env.AWS_REGION || 'us-east-1';
-let ddbDocClient = null;
+// "dynamodb" (default) or "memory"; DB_FILE makes the memory store persistent.
+const DRIVER = process.env.DB_DRIVER || 'dynamodb';
+let db = null;
+
+async function connectDynamo() {
+  // 1) Create the low-level client
+  const ddbClient = new DynamoDBClient({ region: REGION });
+  // 2) Wrap it in the DocumentClient for auto marshalling
+  const ddbDocClient = DynamoDBDocumentClient.from(ddbClient);
+
+  // Optional sanity check:
+  try {
+    await ddbClient.send(new ListTablesCommand({ Limit: 1 }));
+    console.log(`✅ DynamoDB connected (region: ${REGION})`);
+  } catch (err) {
+    throw new Error(`DynamoDB connection test failed: ${err.message}`, { cause: err });
+  }
+  return createRepositories(name => createDynamoTable(ddbDocClient, TABLES[name]));
+}
+
+async function connectMemory() {
+  const store = createMemoryStore({ file: process.env.DB_FILE });
+  const repos = createRepositories(name => store.table(TABLES[name]));
+
+  // An empty local store gets the default schedule so reminders can be planned.
+  if ((await repos.schedule.list()).length === 0) {
+    await repos.schedule.putMany(SCHEDULE_SEED);
+  }
+  console.log(`✅ Local store ready (${process.env.DB_FILE || 'in-memory'})`);
+  return repos;
+}
 
 /**
- * Initializes the DynamoDBDocumentClient once, and does a quick ListTables
- * to verify connectivity/credentials. Returns the DocumentClient.
+ * Initializes the storage backend selected by DB_DRIVER once and returns
+ * its repositories ({ mothers, babies, reminders, schedule }). For DynamoDB
+ * a quick ListTables verifies connectivity/credentials and throws on failure.
  */
 export async function connectDB() {
-  if (!ddbDocClient) {
-    // 1) Create the low-level client
-    const ddbClient = new DynamoDBClient({ region: REGION });
-    // 2) Wrap it in the DocumentClient for auto marshalling
-    ddbDocClient = DynamoDBDocumentClient.from(ddbClient);
-
-    // Optional sanity check:
-    try {
-      await ddbClient.send(new ListTablesCommand({ Limit: 1 }));
-      console.log(`✅ DynamoDB connected (region: ${REGION})`);
-    } catch (err) {
-      console.error("⚠️ DynamoDB connection test failed:", err);
-      process.exit(1);
+  if (!db) {
+    if (DRIVER === 'dynamodb') {
+      db = await connectDynamo();
+    } else if (DRIVER === 'memory') {
+      db = await connectMemory();
+    } else {
+      throw new Error(`Unknown DB_DRIVER "${DRIVER}" (expected "dynamodb" or "memory")`);
     }
   }
-  return ddbDocClient;
+  return db;
 }
 
 /**
- * Returns the initialized DocumentClient, or throws if not yet initialized.
+ * Returns the initialized repositories, or throws if not yet initialized.
  */
 export function getDB() {
-  if (!ddbDocClient) {
-    throw new Error("DynamoDB not initialized! Call connectDB() first.");
+  if (!db) {
+    throw new Error("Database not initialized! Call connectDB() first.");
   }
-  return ddbDocClient;
+  return db;
 }
@@ -0,0 +1,78 @@
+/**
+ * Notification service: sends one message straight to one recipient.
+ *
+ * Email goes through a pluggable provider (createNotifier):
+ *
+ *   ses      Amazon SES (the default in Lambda)
+ *   smtp     any SMTP server, via nodemailer
+ *   capture  keeps messages (and appends them to NOTIFY_CAPTURE_FILE) instead
+ *            of sending; the default with DB_DRIVER=memory, and for tests
+ *
+ * Every provider implements
+ *
+ *   send({ to, subject, text, html? }) -> { messageId }
+ *
+ * and throws if the message could not be handed over.
+ *
+ * SMS goes through a pluggable gateway (createSmsGateway, see sms.js):
+ *
+ *   africastalking  Africa's Talking (the default in Lambda)
+ *   fake            keeps messages (and appends them to NOTIFY_CAPTURE_FILE);
+ *                   the default with DB_DRIVER=memory, and for tests
+ *
+ * Each mother picks her channels (`notification_channels` on her record,
+ * email only by default); SMS goes to her phone number in E.164 (phone.js).
+ *
+ * The API sends its account emails through the same providers: api/notify/
+ * is a copy of this folder and must be kept identical.
+ */
+import { createCaptureProvider } from './capture.js';
+import { createAfricasTalkingGateway, createFakeSmsGateway } from './sms.js';
+
+export const CHANNELS = ['email', 'sms'];
+export const DEFAULT_CHANNELS = ['email'];
+
+const isLocal = () => (process.env.DB_DRIVER || 'dynamodb') === 'memory';
+
+export const NOTIFY_FROM = process.env.NOTIFY_FROM ||
+  `"Chanjo Chonjo" <${process.env.EMAIL_USER || 'no-reply@chanjo.local'}>`;
+
+/**
+ * The provider chosen by NOTIFY_PROVIDER ("ses" | "smtp" | "capture").
+ * SES and SMTP are loaded on demand so their SDKs are only needed where
+ * they are used.
+ */
+export async function createNotifier(kind = process.env.NOTIFY_PROVIDER || (isLocal() ? 'capture' : 'ses')) {
+  switch (kind) {
+    case 'ses':
+      return (await import('./ses.js')).createSesProvider({ from: NOTIFY_FROM });
+    case 'smtp':
+      return (await import('./smtp.js')).createSmtpProvider({ from: NOTIFY_FROM });
+    case 'capture':
+      return createCaptureProvider({ file: process.env.NOTIFY_CAPTURE_FILE });
+    default:
+      throw new Error(`Unknown NOTIFY_PROVIDER "${kind}" (expected "ses", "smtp" or "capture")`);
+  }
+}
+
+/**
+ * The SMS gateway chosen by SMS_GATEWAY ("africastalking" | "fake").
+ */
+export function createSmsGateway(kind = process.env.SMS_GATEWAY || (isLocal() ? 'fake' : 'africastalking')) {
+  switch (kind) {
+    case 'africastalking':
+      return createAfricasTalkingGateway();
+    case 'fake':
+      return createFakeSmsGateway({ file: process.env.NOTIFY_CAPTURE_FILE });
+    default:
+      throw new Error(`Unknown SMS_GATEWAY "${kind}" (expected "africastalking" or "fake")`);
+  }
+}
+
+/**
+ * Channels `user` wants reminders on, e.g. ["email", "sms"].
+ */
+export function channelsOf(user) {
+  const channels = (user?.notification_channels ?? []).filter(c => CHANNELS.includes(c));
+  return channels.length ? channels : DEFAULT_CHANNELS;
+}
@@ -0,0 +1,174 @@
+/**
+ * Admin changes to the vaccination schedule: create, update, retire and
+ * reorder entries. Each change is recorded in the schedule_audit table
+ * with the entry before and after it, and babies on the changed schedule
+ * can have their unsent reminders re-planned (replanSchedule).
+ *
+ * Entries are never deleted: retiring one sets `retired_at`, which keeps
+ * it out of every plan while administered records that name it still
+ * make sense.
+ */
+import { v4 as uuidv4 } from 'uuid';
+import {
+  isRetired,
+  loadSchedule,
+  normalizeSchedule,
+  normalizeScheduleEntry,
+  scheduleEntryErrors
+} from './schedule.js';
+import { syncReminders } from './planner.js';
+
+async function recordAudit(db, { scheduleId, entryId = null, action, actor, before = null, after = null }) {
+  await db.scheduleAudit.record({
+    auditId: uuidv4(),
+    schedule_id: scheduleId,
+    entry_id: entryId,
+    action,
+    actor_id: actor.userId,
+    actor_email: actor.email,
+    before,
+    after,
+    at: new Date().toISOString()
+  });
+}
+
+// Validation errors for `entry`, plus a clash with another active dose of
+// the same name (administered records refer to doses by name).
+function entryErrors(entry, schedule) {
+  const errors = scheduleEntryErrors(entry);
+  const clash = schedule.some(other =>
+    other.id !== entry.id && !isRetired(other) &&
+    other.vaccine.toLowerCase() === entry.vaccine?.toLowerCase()
+  );
+  if (clash) errors.push(`vaccine "${entry.vaccine}" already exists in ${entry.schedule_id}`);
+  return errors;
+}
+
+/**
+ * A stored entry in the structured format, or null if there is no entry
+ * `id` in schedule `scheduleId`.
+ */
+export async function getScheduleEntry(db, scheduleId, id) {
+  const row = await db.schedule.get(id);
+  if (!row) return null;
+  const entry = normalizeScheduleEntry(row);
+  return entry.schedule_id === scheduleId ? entry : null;
+}
+
+/**
+ * Adds a dose to `scheduleId` (creating the schedule if this is its first
+ * dose) at the end of its order. Returns { entry } or { errors } when
+ * nothing was saved.
+ */
+export async function createScheduleEntry(db, scheduleId, fields, { actor }) {
+  const all = normalizeSchedule(await db.schedule.list());
+  const schedule = all.filter(e => e.schedule_id === scheduleId);
+
+  // ids are unique across every schedule in the table
+  const entry = {
+    id: Math.max(0, ...all.map(e => e.id)) + 1,
+    schedule_id: scheduleId,
+    ...fields,
+    position: Math.max(0, ...schedule.map(e => e.position ?? e.id)) + 1
+  };
+  const errors = entryErrors(entry, schedule);
+  if (errors.length) return { errors };
+
+  await db.schedule.put(entry);
+  await recordAudit(db, { scheduleId, entryId: entry.id, action: 'create', actor, after: entry });
+  return { entry };
+}
+
+/**
+ * Applies `fields` to `entry` (from getScheduleEntry). Returns { entry } or
+ * { errors } when nothing was saved.
+ */
+export async function updateScheduleEntry(db, entry, fields, { actor }) {
+  const updated = { ...entry, ...fields };
+  const errors = entryErrors(updated, await loadSchedule(db, entry.schedule_id));
+  if (errors.length) return { errors };
+
+  await db.schedule.put(updated);
+  await recordAudit(db, {
+    scheduleId: entry.schedule_id, entryId: entry.id, action: 'update', actor, before: entry, after: updated
+  });
+  return { entry: updated };
+}
+
+/**
+ * Marks `entry` retired so it is no longer planned. Returns the entry.
+ */
+export async function retireScheduleEntry(db, entry, { actor }) {
+  const retired = { ...entry, retired_at: new Date().toISOString() };
+  await db.schedule.put(retired);
+  await recordAudit(db, {
+    scheduleId: entry.schedule_id, entryId: entry.id, action: 'retire', actor, before: entry, after: retired
+  });
+  return retired;
+}
+
+/**
+ * Renumbers the active entries of `scheduleId` in the order of `ids`, which
+ * must list each of them exactly once. Returns { schedule } or { errors }.
+ */
+export async function reorderSchedule(db, scheduleId, ids, { actor }) {
+  const schedule = await loadSchedule(db, scheduleId);
+  const current = new Set(schedule.map(e => e.id));
+  const unknown = ids.filter(id => !current.has(id));
+  const missing = [...current].filter(id => !ids.includes(id));
+  const errors = [
+    ...unknown.map(id => `ids: ${id} is not an active entry of ${scheduleId}`),
+    ...missing.map(id => `ids: ${id} is missing`)
+  ];
+  if (errors.length) return { errors };
+
+  const byId = new Map(schedule.map(e => [e.id, e]));
+  const reordered = ids.map((id, i) => ({ ...byId.get(id), position: i + 1 }));
+  await db.schedule.putMany(reordered);
+  await recordAudit(db, {
+    scheduleId,
+    action: 'reorder',
+    actor,
+    before: schedule.map(e => e.id),
+    after: ids
+  });
+  return { schedule: reordered };
+}
+
+// How long one request may spend re-planning before it reports back (the
+// API Lambda times out after 10 seconds)
+export const REPLAN_BUDGET_MS = Number(process.env.REPLAN_BUDGET_MS) || 6000;
+
+/**
+ * Re-plans the reminders of the babies pinned to `scheduleId`, in babyId
+ * order from after `after`, until done or `budgetMs` has passed. Sent
+ * reminders are left alone. The schedule is loaded once and the mothers in
+ * one batch.
+ *
+ * Returns { replanned, remaining, nextAfter }: while `remaining` is not 0,
+ * call again with `after: nextAfter` to carry on.
+ */
+export async function replanSchedule(db, scheduleId, { after = null, budgetMs = REPLAN_BUDGET_MS } = {}) {
+  const deadline = Date.now() + budgetMs;
+  const babies = (await db.babies.listBySchedule(scheduleId))
+    .filter(b => after === null || b.babyId > after)
+    // Same (code unit) order as the `after` filter, so resuming never skips or repeats
+    .sort((a, b) => (a.babyId < b.babyId ? -1 : a.babyId > b.babyId ? 1 : 0));
+  const schedule = await loadSchedule(db, scheduleId);
+  const mothers = new Map(
+    (await db.mothers.getMany(babies.map(b => b.motherUserId))).map(m => [m.userId, m])
+  );
+
+  let replanned = 0;
+  for (const baby of babies) {
+    if (Date.now() >= deadline) break;
+    await syncReminders(db, baby, { mother: mothers.get(baby.motherUserId) ?? null, schedule });
+    replanned++;
+  }
+  const remaining = babies.length - replanned;
+  return {
+    replanned,
+    remaining,
+    nextAfter: remaining ? (babies[replanned - 1]?.babyId ?? after) : null
+  };
+}
@@ -0,0 +1,93 @@
+/**
+ * Administered records: the doses a baby has been given, stored as the
+ * `administered` list on the baby item. Each entry is
+ *
+ *   { id, vaccine, date (YYYY-MM-DD), type, markedAt, recordedBy,
+ *     lotNumber?, facility?, clinician?, notes?, site?, route?,
+ *     history?: [{ at, by, changes: { <field>: { from, to } } }] }
+ *
+ * `history` records every edit of the entry. Entries written before ids
+ * existed get a stable id derived from their vaccine and date.
+ */
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { addDays, scheduleIdOf, startOfDay } from './schedule.js';
+
+// Optional details of an administered dose, editable after the fact
+export const ADMINISTERED_DETAIL_FIELDS = ['lotNumber', 'facility', 'clinician', 'notes', 'site', 'route'];
+const EDITABLE_FIELDS = ['vaccine', 'date', ...ADMINISTERED_DETAIL_FIELDS];
+
+const legacyId = (entry) =>
+  'legacy-' + crypto.createHash('sha1').update(`${entry.vaccine}|${entry.date}`).digest('hex').slice(0, 12);
+
+/**
+ * The baby's administered entries, each with an `id`.
+ */
+export function administeredList(baby) {
+  return (Array.isArray(baby.administered) ? baby.administered : [])
+    .map(entry => entry.id ? entry : { ...entry, id: legacyId(entry) });
+}
+
+/**
+ * Validation errors for `entry` as part of `baby`'s record: the vaccine
+ * must be a dose of the baby's schedule (retired doses included), given
+ * no earlier than birth and not in the future, and not recorded twice.
+ */
+export function administeredErrors(baby, schedule, entry, { now = new Date() } = {}) {
+  const errors = [];
+  if (!schedule.some(dose => dose.vaccine === entry.vaccine)) {
+    errors.push(`vaccine "${entry.vaccine}" is not part of the ${scheduleIdOf(baby)} schedule`);
+  }
+
+  const date = new Date(entry.date + 'T00:00:00Z');
+  if (isNaN(date) || date.toISOString().split('T')[0] !== entry.date) {
+    errors.push(`date ${entry.date} is not a valid date`);
+  } else if (date < startOfDay(baby.dateOfBirth)) {
+    errors.push('date is before the baby\'s date of birth');
+  } else if (date > addDays(startOfDay(now), 1)) {
+    // a day of slack: East African "today" starts hours before it does in UTC
+    errors.push('date is in the future');
+  }
+
+  const other = administeredList(baby).find(a => a.id !== entry.id && a.vaccine === entry.vaccine);
+  if (other) {
+    errors.push(`${entry.vaccine} is already recorded on ${other.date}`);
+  }
+  return errors;
+}
+
+/**
+ * A new entry recorded by `user` (a token payload).
+ */
+export function newAdministered({ vaccine, date, type = 'manual', ...details }, user, { now = new Date() } = {}) {
+  const entry = { id: uuidv4(), vaccine, date, markedAt: now.toISOString(), type, recordedBy: user.userId };
+  for (const field of ADMINISTERED_DETAIL_FIELDS) {
+    if (details[field] != null) entry[field] = details[field];
+  }
+  return entry;
+}
+
+/**
+ * `entry` with `fields` applied (null clears a detail) and the change
+ * appended to its history. Returns the entry unchanged if nothing differs.
+ */
+export function editAdministered(entry, fields, user, { now = new Date() } = {}) {
+  const updated = { ...entry };
+  const changes = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (!(field in fields)) continue;
+    const from = entry[field] ?? null;
+    const to = fields[field] ?? null;
+    if (from === to) continue;
+    changes[field] = { from, to };
+    if (to === null) delete updated[field];
+    else updated[field] = to;
+  }
+  if (!Object.keys(changes).length) return entry;
+
+  updated.history = [
+    ...(entry.history ?? []),
+    { at: now.toISOString(), by: user.userId, changes }
+  ];
+  return updated;
+}
@@ -0,0 +1,87 @@
+/**
+ * Catch-up planning for babies who missed doses (typically because they
+ * were registered late). Every dose not recorded as administered gets a
+ * date that respects:
+ *
+ *   - the dose's earliest age (`earliest_age_days`),
+ *   - the minimum interval since the previous dose of the same series
+ *     (`min_interval_days`),
+ *   - and, when the routine date has already passed, a start date a couple
+ *     of days out so there is still time to remind the mother.
+ *
+ * Doses that could only be given after their `latest_age_days` are no
+ * longer applicable and come back undated.
+ */
+import { addDays, dueDate, startOfDay } from './schedule.js';
+
+// Overdue doses are planned this many days from today, which leaves room
+// for at least the day-before reminder.
+export const CATCH_UP_START_DAYS = 2;
+
+const latest = (...dates) => new Date(Math.max(...dates.map(d => d.getTime())));
+
+/**
+ * Outstanding doses for `baby`, each as
+ * { vaccine, series, dose, recommendedDate, date, catchUp, reason },
+ * ordered by `date` (undated doses last). `reason` is "overdue" (routine
+ * date has passed), "minimum-interval" (pushed back behind an earlier
+ * dose), "past-latest-age" (date is null) or null.
+ */
+export function planCatchUp(baby, schedule, { now = new Date() } = {}) {
+  const dob = startOfDay(baby.dateOfBirth);
+  const today = startOfDay(now);
+  const earliest = addDays(today, CATCH_UP_START_DAYS);
+  const given = new Map(
+    (baby.administered || []).map(a => [a.vaccine, startOfDay(a.date)])
+  );
+
+  const doses = [...schedule]
+    .sort((a, b) => a.earliest_age_days - b.earliest_age_days || a.dose - b.dose);
+
+  // series -> date of its latest dose so far (given or planned)
+  const previous = new Map();
+  const plan = [];
+  for (const entry of doses) {
+    const { vaccine, series, dose } = entry;
+    if (given.has(vaccine)) {
+      previous.set(series, given.get(vaccine));
+      continue;
+    }
+
+    const recommendedDate = dueDate(dob, entry);
+    const overdue = recommendedDate < today;
+    const constraints = [
+      overdue ? earliest : recommendedDate,
+      addDays(dob, entry.earliest_age_days)
+    ];
+    if (previous.has(series) && entry.min_interval_days != null) {
+      constraints.push(addDays(previous.get(series), entry.min_interval_days));
+    }
+    const date = latest(...constraints);
+
+    if (entry.latest_age_days != null && date > addDays(dob, entry.latest_age_days)) {
+      plan.push({ vaccine, series, dose, recommendedDate, date: null, catchUp: false, reason: 'past-latest-age' });
+      continue;
+    }
+    previous.set(series, date);
+
+    const catchUp = date.getTime() !== recommendedDate.getTime();
+    plan.push({
+      vaccine,
+      series,
+      dose,
+      recommendedDate,
+      date,
+      catchUp,
+      reason: overdue ? 'overdue' : catchUp ? 'minimum-interval' : null
+    });
+  }
+
+  // By date, undated doses last; ties keep schedule order (earliest age, dose)
+  const order = new Map(doses.map((entry, i) => [entry.vaccine, i]));
+  return plan.sort((a, b) => {
+    if (a.date && b.date && a.date.getTime() !== b.date.getTime()) return a.date - b.date;
+    if (!a.date !== !b.date) return a.date ? -1 : 1;
+    return order.get(a.vaccine) - order.get(b.vaccine);
+  });
+}
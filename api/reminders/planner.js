@@ -0,0 +1,145 @@
+/**
+ * Reminder planning: turns a baby's date of birth and the vaccination
+ * schedule into due dates and reminder items. Everything here is a pure
+ * function of (baby, schedule, settings, now), so re-planning the same baby
+ * always yields the same reminderIds and times.
+ */
+import { zonedTimeToUtc } from './timezone.js';
+import { reminderSettings, settingsChanged } from './preferences.js';
+import { MS_PER_DAY, dueDate, loadBabySchedule } from './schedule.js';
+import { planCatchUp } from './catchup.js';
+
+// Reminder `type` for everything planned here; the lead time lives in
+// `offset_days`. Older items use "weekly" (7 days) and "daily" (1 day).
+export const REMINDER_TYPE = 'reminder';
+
+/**
+ * Due date of every entry of a (structured) schedule not yet administered,
+ * past or future: [{ vaccine, date }] in schedule order. Recording or
+ * removing an administered dose therefore drops or restores its reminders
+ * on the next syncReminders.
+ *
+ * Babies in catch-up mode (`catch_up` set) only get their outstanding,
+ * still-applicable doses, dated by the catch-up plan instead of the
+ * routine schedule.
+ */
+export function planDueDates(baby, schedule, { now = new Date() } = {}) {
+  if (baby.catch_up) {
+    return planCatchUp(baby, schedule, { now })
+      .filter(({ date }) => date)
+      .map(({ vaccine, date }) => ({ vaccine, date }));
+  }
+  const given = new Set((baby.administered || []).map(a => a.vaccine));
+  return schedule
+    .filter(entry => !given.has(entry.vaccine))
+    .map(entry => ({
+      vaccine: entry.vaccine,
+      date: dueDate(baby.dateOfBirth, entry)
+    }));
+}
+
+/**
+ * Deterministic reminder key: the same baby, vaccine, lead time and
+ * (local) reminder day always map to the same id, so writing a plan twice
+ * overwrites instead of duplicating.
+ */
+export function reminderId(babyId, vaccine, offsetDays, day) {
+  return `${babyId}#${vaccine}#${offsetDays}d#${day.toISOString().split('T')[0]}`;
+}
+
+/**
+ * Reminder items for every (vaccine, lead time) slot that is still in the
+ * future at `now`. Each slot fires at `reminderHour`:00 local time in
+ * `timezone`, `leadDays` days before the vaccine is due (see
+ * reminderSettings() for the defaults).
+ */
+export function planReminders(baby, schedule, { now = new Date(), timezone, reminderHour, leadDays } = {}) {
+  const settings = reminderSettings({
+    timezone,
+    reminder_hour: reminderHour,
+    reminder_lead_days: leadDays
+  });
+  const reminders = [];
+  for (const { vaccine, date } of planDueDates(baby, schedule, { now })) {
+    for (const offsetDays of settings.leadDays) {
+      const day = new Date(date.getTime() - offsetDays * MS_PER_DAY);
+      const scheduledAt = zonedTimeToUtc(day, settings.reminderHour, settings.timezone);
+      if (scheduledAt <= now) continue;
+
+      reminders.push({
+        reminderId: reminderId(baby.babyId, vaccine, offsetDays, day),
+        motherId: baby.motherUserId,
+        babyId: baby.babyId,
+        vaccine,
+        vaccination_date: date.toISOString(),
+        scheduled_at: scheduledAt.toISOString(),
+        // When the dispatcher should next pick it up; removed once it is
+        // sent or has failed, which keeps it out of the ByDueAt index
+        due_at: scheduledAt.toISOString(),
+        sent: 'false',
+        type: REMINDER_TYPE,
+        offset_days: offsetDays
+      });
+    }
+  }
+  return reminders;
+}
+
+/**
+ * Brings a baby's stored reminders in line with a fresh plan: writes the
+ * plan and deletes unsent reminders it no longer contains. Planned
+ * reminders already sent (or failed) are left alone: ids only record the
+ * local day, so a new reminder hour the same day maps onto them. An unsent
+ * reminder that is already due is kept while its vaccination date is still
+ * current, so the next cron run can deliver it.
+ *
+ * The mother's reminder preferences are read from her record unless
+ * `mother` is passed in, and the baby's schedule is loaded unless
+ * `schedule` is (callers re-planning many babies load it once). Returns the
+ * planned reminders.
+ */
+export async function syncReminders(db, baby, { now = new Date(), mother, schedule } = {}) {
+  mother ??= await db.mothers.get(baby.motherUserId);
+  schedule ??= await loadBabySchedule(db, baby);
+  const planned = planReminders(baby, schedule, { now, ...reminderSettings(mother) });
+  const plannedIds = new Set(planned.map(r => r.reminderId));
+  const currentDates = new Map(
+    planDueDates(baby, schedule, { now }).map(d => [d.vaccine, d.date.toISOString()])
+  );
+
+  const stored = await db.reminders.listByBaby(baby.babyId);
+  const unsent = stored.filter(r => r.sent === 'false');
+  const settledIds = new Set(stored.filter(r => r.sent !== 'false').map(r => r.reminderId));
+  const obsolete = unsent.filter(r =>
+    !plannedIds.has(r.reminderId) &&
+    (new Date(r.scheduled_at) > now || currentDates.get(r.vaccine) !== r.vaccination_date)
+  );
+
+  await db.reminders.deleteMany(obsolete.map(r => r.reminderId));
+  await db.reminders.putMany(planned.filter(r => !settledIds.has(r.reminderId)));
+  return planned;
+}
+
+/**
+ * Deletes every reminder of `babyId`, sent or not. Used when the baby
+ * itself is deleted. Returns the number of reminders removed.
+ */
+export async function clearReminders(db, babyId) {
+  const reminders = await db.reminders.listByBaby(babyId);
+  await db.reminders.deleteMany(reminders.map(r => r.reminderId));
+  return reminders.length;
+}
+
+/**
+ * Re-plans every baby of `updated` (a mother item) if her reminder
+ * preferences differ from `previous`. Returns true if anything was re-planned.
+ */
+export async function syncMotherReminders(db, previous, updated) {
+  if (!settingsChanged(reminderSettings(previous), reminderSettings(updated))) {
+    return false;
+  }
+  for (const baby of await db.babies.listByMother(updated.userId)) {
+    await syncReminders(db, baby, { mother: updated });
+  }
+  return true;
+}
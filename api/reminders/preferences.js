@@ -0,0 +1,48 @@
+/**
+ * A mother's reminder preferences, as stored on her `mothers` item:
+ *
+ *   timezone            IANA zone the reminder hour is read in
+ *   reminder_hour       local hour (0–23) reminders go out
+ *   reminder_lead_days  how many days before each vaccine to remind her
+ *                       (0 = on the day itself)
+ *   notification_channels  where reminders go: "email" and/or "sms" (to
+ *                       her phone_number)
+ *   locale              language of her reminders and emails (see templates/)
+ *
+ * Missing fields fall back to the defaults below, which reproduce the
+ * original weekly (7 days) + daily (1 day) reminders at 14:00 EAT.
+ */
+import { localeOf } from '../templates/index.js';
+
+export const DEFAULT_TIMEZONE = 'Africa/Nairobi';
+export const DEFAULT_REMINDER_HOUR = 14;
+export const DEFAULT_LEAD_DAYS = [7, 1];
+export const NOTIFICATION_CHANNELS = ['email', 'sms'];
+export const DEFAULT_CHANNELS = ['email'];
+
+/**
+ * A mother's reminder preferences with defaults filled in.
+ */
+export function reminderSettings(mother) {
+  return {
+    timezone: mother?.timezone || DEFAULT_TIMEZONE,
+    reminderHour: Number.isInteger(mother?.reminder_hour) ? mother.reminder_hour : DEFAULT_REMINDER_HOUR,
+    leadDays: Array.isArray(mother?.reminder_lead_days) && mother.reminder_lead_days.length
+      ? mother.reminder_lead_days
+      : DEFAULT_LEAD_DAYS,
+    channels: Array.isArray(mother?.notification_channels) && mother.notification_channels.length
+      ? mother.notification_channels
+      : DEFAULT_CHANNELS,
+    locale: localeOf(mother)
+  };
+}
+
+/**
+ * True if two settings objects would produce different reminder plans
+ * (channels and locale only change how reminders are delivered).
+ */
+export function settingsChanged(a, b) {
+  return a.timezone !== b.timezone ||
+    a.reminderHour !== b.reminderHour ||
+    [...a.leadDays].sort().join() !== [...b.leadDays].sort().join();
+}
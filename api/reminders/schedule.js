@@ -0,0 +1,223 @@
+/**
+ * The vaccination schedule model and the date arithmetic built on it.
+ *
+ * Each entry is one dose (see schemas/schedule.schema.js):
+ *
+ *   { id, schedule_id, vaccine, series, dose, age,
+ *     earliest_age_days, recommended_age_days, latest_age_days,
+ *     min_interval_days }
+ *
+ * `schedule_id` names a programme revision ("KEPI-2024"); the table holds
+ * every programme and each baby is pinned to one (`baby.scheduleId`).
+ * Admins order entries with `position` and retire them with `retired_at`
+ * (see reminders/admin.js); retired entries are kept but never planned.
+ *
+ * Rows in the old { id, age, vaccine } format are converted on load by
+ * fromLegacyRow(); that is the only place free-text ages are parsed.
+ */
+import Ajv from 'ajv';
+import { scheduleEntrySchema } from '../schemas/schedule.schema.js';
+
+export const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Programme for babies created before schedules were selectable, and for
+// stored rows without a schedule_id.
+export const DEFAULT_SCHEDULE_ID = process.env.DEFAULT_SCHEDULE_ID || 'KEPI-2024';
+
+/**
+ * The schedule a baby is pinned to.
+ */
+export function scheduleIdOf(baby) {
+  return baby.scheduleId || DEFAULT_SCHEDULE_ID;
+}
+
+/**
+ * The UTC midnight starting the calendar day of `date`.
+ */
+export function startOfDay(date) {
+  const d = new Date(date);
+  d.setUTCHours(0, 0, 0, 0);
+  return d;
+}
+
+export function addDays(date, days) {
+  return new Date(new Date(date).getTime() + Math.round(days) * MS_PER_DAY);
+}
+
+/**
+ * Date (UTC midnight) on which `entry` is routinely due for a baby born on
+ * `dateOfBirth` (an ISO string or Date).
+ */
+export function dueDate(dateOfBirth, entry) {
+  return addDays(startOfDay(dateOfBirth), entry.recommended_age_days);
+}
+
+// --- Age labels & legacy rows ---
+
+const UNIT_DAYS = { day: 1, days: 1, week: 7, weeks: 7, month: 30, months: 30, year: 365, years: 365 };
+
+// Spacing assumed between doses of a legacy series (WHO: 4 weeks).
+const LEGACY_MIN_INTERVAL_DAYS = 28;
+
+/**
+ * Parses an age label ("Birth", "6 weeks", "6–10 weeks", "9 months") into
+ * its { min, max } day offsets from birth, or null if it is not one.
+ */
+export function parseAgeLabel(ageStr) {
+  ageStr = ageStr.trim().toLowerCase();
+  if (ageStr === 'birth') return { min: 0, max: 0 };
+  const rangeRegex = /^(\d+)\s*[–-]\s*(\d+)\s*(\w+)$/;
+  const singleRegex = /^(\d+)\s*(\w+)$/;
+  let match = ageStr.match(rangeRegex);
+  if (match && UNIT_DAYS[match[3]]) {
+    const [, start, end, unit] = match;
+    return { min: parseInt(start, 10) * UNIT_DAYS[unit], max: parseInt(end, 10) * UNIT_DAYS[unit] };
+  }
+  match = ageStr.match(singleRegex);
+  if (match && UNIT_DAYS[match[2]]) {
+    const days = parseInt(match[1], 10) * UNIT_DAYS[match[2]];
+    return { min: days, max: days };
+  }
+  return null;
+}
+
+// Legacy rows with an unparseable age count as birth.
+function parseAgeRange(ageStr) {
+  return parseAgeLabel(ageStr) || { min: 0, max: 0 };
+}
+
+/**
+ * Converts a legacy age label into a day offset from birth. Ranges use
+ * their midpoint.
+ */
+export function parseAgeToDays(ageStr) {
+  const { min, max } = parseAgeRange(ageStr);
+  return (min + max) / 2;
+}
+
+/**
+ * Converts an old { id, age, vaccine } row: the age range gives the
+ * earliest/recommended ages, and a trailing number in the name ("PCV10 2")
+ * gives the series and dose.
+ */
+export function fromLegacyRow({ id, age, vaccine }) {
+  const { min } = parseAgeRange(age);
+  const match = vaccine.match(/^(.+?)\s+(\d+)$/);
+  return {
+    id: Number(id),
+    schedule_id: DEFAULT_SCHEDULE_ID,
+    vaccine,
+    series: match ? match[1] : vaccine,
+    dose: match ? parseInt(match[2], 10) : 1,
+    age,
+    earliest_age_days: min,
+    recommended_age_days: Math.round(parseAgeToDays(age)),
+    latest_age_days: null,
+    min_interval_days: LEGACY_MIN_INTERVAL_DAYS
+  };
+}
+
+// --- Validation & loading ---
+
+const ajv = new Ajv({ allErrors: true });
+const validateShape = ajv.compile(scheduleEntrySchema);
+
+/**
+ * Problems with a (structured) schedule entry as "field message" strings;
+ * empty when valid. Checks the JSON schema, then that the ages are ordered.
+ */
+export function scheduleEntryErrors(entry) {
+  if (!validateShape(entry)) {
+    // Errors on the entry itself ("must have required property 'series'")
+    // already name the property, so they are reported against "entry"
+    return validateShape.errors.map(e => {
+      const message = e.keyword === 'additionalProperties'
+        ? `${e.message} (${e.params.additionalProperty})`
+        : e.message;
+      return `${e.instancePath.replace(/^\//, '') || 'entry'} ${message}`;
+    });
+  }
+  const errors = [];
+  if (entry.earliest_age_days > entry.recommended_age_days) {
+    errors.push('earliest_age_days must be <= recommended_age_days');
+  }
+  if (entry.latest_age_days != null && entry.latest_age_days < entry.recommended_age_days) {
+    errors.push('latest_age_days must be >= recommended_age_days');
+  }
+  return errors;
+}
+
+/**
+ * A stored row in the structured format, converting legacy rows first.
+ */
+export function normalizeScheduleEntry(row) {
+  if (row.recommended_age_days === undefined) return fromLegacyRow(row);
+  return { ...row, schedule_id: row.schedule_id || DEFAULT_SCHEDULE_ID };
+}
+
+export function isRetired(entry) {
+  return !!entry.retired_at;
+}
+
+/**
+ * Normalizes and validates stored rows, dropping (and logging) invalid
+ * ones so one bad row cannot stop reminders for everybody. Sorted by
+ * position, then id.
+ */
+export function normalizeSchedule(rows) {
+  return rows
+    .map(normalizeScheduleEntry)
+    .filter(entry => {
+      const errors = scheduleEntryErrors(entry);
+      if (errors.length) {
+        console.warn(`Skipping invalid schedule entry ${entry.id}: ${errors.join('; ')}`);
+      }
+      return errors.length === 0;
+    })
+    .sort((a, b) => (a.position ?? a.id) - (b.position ?? b.id) || a.id - b.id);
+}
+
+/**
+ * Every active dose of one schedule in the structured format (empty if no
+ * such schedule exists). Admin views pass `includeRetired`.
+ */
+export async function loadSchedule(db, scheduleId = DEFAULT_SCHEDULE_ID, { includeRetired = false } = {}) {
+  return normalizeSchedule(await db.schedule.list())
+    .filter(entry => entry.schedule_id === scheduleId && (includeRetired || !isRetired(entry)));
+}
+
+/**
+ * The schedule `baby` is pinned to (options as for loadSchedule).
+ */
+export function loadBabySchedule(db, baby, options) {
+  return loadSchedule(db, scheduleIdOf(baby), options);
+}
+
+/**
+ * Available schedules: [{ scheduleId, doses, isDefault }], sorted by id.
+ */
+export async function listSchedules(db) {
+  const counts = new Map();
+  for (const entry of normalizeSchedule(await db.schedule.list())) {
+    if (isRetired(entry)) continue;
+    counts.set(entry.schedule_id, (counts.get(entry.schedule_id) || 0) + 1);
+  }
+  return [...counts]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([scheduleId, doses]) => ({ scheduleId, doses, isDefault: scheduleId === DEFAULT_SCHEDULE_ID }));
+}
+
+/**
+ * Entries of `schedule` given at the age described by `label` ("6 weeks",
+ * "6-10 weeks", "birth", ...): same label, or a recommended age within the
+ * label's range. Null if the label is not an age.
+ */
+export function entriesForAge(schedule, label) {
+  const range = parseAgeLabel(label);
+  if (!range) return null;
+  const wanted = label.trim().toLowerCase();
+  return schedule.filter(entry =>
+    entry.age?.trim().toLowerCase() === wanted ||
+    (entry.recommended_age_days >= range.min && entry.recommended_age_days <= range.max)
+  );
+}
@@ -0,0 +1,88 @@
+/**
+ * Vaccination status of a baby: its schedule joined with its administered
+ * list. Each dose is one of
+ *
+ *   completed       recorded as administered
+ *   overdue         not given and its recommended date has passed
+ *   due_soon        not given and due within DUE_SOON_DAYS
+ *   upcoming        not given and due later
+ *   not_applicable  not given and too late to give (past latest_age_days)
+ *
+ * Babies in catch-up mode are dated by the catch-up plan; their missed
+ * doses still count as overdue until given.
+ */
+import { addDays, dueDate, startOfDay } from './schedule.js';
+import { planCatchUp } from './catchup.js';
+import { administeredList } from './administered.js';
+
+export const DUE_SOON_DAYS = Number(process.env.DUE_SOON_DAYS) || 7;
+
+const toDay = (d) => d && d.toISOString().split('T')[0];
+
+/**
+ * { doses, summary } for `baby` on its (structured, active) `schedule`:
+ *
+ *   doses    [{ vaccine, series, dose, status, dueDate, recommendedDate,
+ *              administeredOn, administeredId }] in schedule order
+ *   summary  { total, completed, overdue, dueSoon, upcoming, notApplicable,
+ *              completionPercent, nextDue: { date, vaccines } | null }
+ *
+ * `completionPercent` counts completed doses out of the applicable ones;
+ * `nextDue` is the earliest outstanding date from today on.
+ */
+export function vaccinationStatus(baby, schedule, { now = new Date() } = {}) {
+  const today = startOfDay(now);
+  const dob = startOfDay(baby.dateOfBirth);
+  const given = new Map(administeredList(baby).map(a => [a.vaccine, a]));
+  const catchUp = baby.catch_up
+    ? new Map(planCatchUp(baby, schedule, { now }).map(p => [p.vaccine, p]))
+    : null;
+
+  const doses = schedule.map(entry => {
+    const recommended = dueDate(dob, entry);
+    const administered = given.get(entry.vaccine);
+    const date = catchUp ? catchUp.get(entry.vaccine)?.date ?? null : recommended;
+    const tooLate = catchUp
+      ? !date
+      : entry.latest_age_days != null && today > addDays(dob, entry.latest_age_days);
+
+    let status;
+    if (administered) status = 'completed';
+    else if (tooLate) status = 'not_applicable';
+    else if (recommended < today) status = 'overdue';
+    else if (date <= addDays(today, DUE_SOON_DAYS)) status = 'due_soon';
+    else status = 'upcoming';
+
+    return {
+      vaccine: entry.vaccine,
+      series: entry.series,
+      dose: entry.dose,
+      status,
+      dueDate: administered || tooLate ? null : toDay(date),
+      recommendedDate: toDay(recommended),
+      administeredOn: administered?.date ?? null,
+      administeredId: administered?.id ?? null
+    };
+  });
+
+  const count = (status) => doses.filter(d => d.status === status).length;
+  const applicable = doses.length - count('not_applicable');
+  const outstanding = doses.filter(d => d.dueDate && d.dueDate >= toDay(today));
+  const nextDate = outstanding.map(d => d.dueDate).sort()[0];
+
+  return {
+    doses,
+    summary: {
+      total: doses.length,
+      completed: count('completed'),
+      overdue: count('overdue'),
+      dueSoon: count('due_soon'),
+      upcoming: count('upcoming'),
+      notApplicable: count('not_applicable'),
+      completionPercent: applicable ? Math.round(100 * count('completed') / applicable) : 100,
+      nextDue: nextDate
+        ? { date: nextDate, vaccines: outstanding.filter(d => d.dueDate === nextDate).map(d => d.vaccine) }
+        : null
+    }
+  };
+}
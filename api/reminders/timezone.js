@@ -0,0 +1,47 @@
+/**
+ * Minimal IANA time-zone helpers on top of Intl, so reminder times can be
+ * computed in each mother's zone without a date library.
+ */
+
+/**
+ * True if `timeZone` is an IANA zone name the runtime knows about.
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Offset (ms) of `timeZone` from UTC at the instant `date`.
+function offsetAt(timeZone, date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const v = Object.fromEntries(parts.map(p => [p.type, Number(p.value)]));
+  const asUtc = Date.UTC(v.year, v.month - 1, v.day, v.hour, v.minute, v.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The UTC instant at which the wall clock in `timeZone` reads `hour`:00 on
+ * the calendar day `day` (a Date at UTC midnight of that day).
+ *
+ * The offset is re-read at the first estimate, so days on which the zone
+ * switches to or from DST still land on the requested local hour.
+ */
+export function zonedTimeToUtc(day, hour, timeZone) {
+  const local = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hour);
+  const guess = local - offsetAt(timeZone, new Date(local));
+  return new Date(local - offsetAt(timeZone, new Date(guess)));
+}
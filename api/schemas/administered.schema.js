@@ -0,0 +1,62 @@
+// Administered records (see reminders/administered.js). Detail fields can
+// be cleared with null when editing.
+const detail = (maxLength, description) => ({ type: "string", minLength: 1, maxLength, description });
+const clearable = (name) => ({ anyOf: [{ $ref: `#/definitions/${name}` }, { type: "null" }] });
+
+export const definitions = {
+  vaccine: {
+    type: "string",
+    minLength: 1,
+    maxLength: 100,
+    description: "Dose name from the baby's schedule, e.g. \"PCV10 2\""
+  },
+  date: {
+    type: "string",
+    pattern: "^\\d{4}-\\d{2}-\\d{2}$",
+    description: "Day the dose was given, YYYY-MM-DD"
+  },
+  lotNumber: detail(50, "Batch / lot number on the vial"),
+  facility: detail(200, "Where the dose was given"),
+  clinician: detail(200, "Who gave the dose"),
+  notes: detail(1000, "Free-text notes, e.g. reactions"),
+  site: detail(50, "Injection site, e.g. \"left thigh\""),
+  route: {
+    enum: ["intramuscular", "subcutaneous", "intradermal", "oral", "intranasal"],
+    description: "How the dose was given"
+  }
+};
+
+export const administeredMarkSchema = {
+  type: "object",
+  required: ["vaccine", "date"],
+  properties: {
+    vaccine: { $ref: "#/definitions/vaccine" },
+    date: { $ref: "#/definitions/date" },
+    type: { type: "string", maxLength: 20 },
+    lotNumber: { $ref: "#/definitions/lotNumber" },
+    facility: { $ref: "#/definitions/facility" },
+    clinician: { $ref: "#/definitions/clinician" },
+    notes: { $ref: "#/definitions/notes" },
+    site: { $ref: "#/definitions/site" },
+    route: { $ref: "#/definitions/route" }
+  },
+  additionalProperties: false,
+  definitions
+};
+
+export const administeredUpdateSchema = {
+  type: "object",
+  minProperties: 1,
+  properties: {
+    vaccine: { $ref: "#/definitions/vaccine" },
+    date: { $ref: "#/definitions/date" },
+    lotNumber: clearable("lotNumber"),
+    facility: clearable("facility"),
+    clinician: clearable("clinician"),
+    notes: clearable("notes"),
+    site: clearable("site"),
+    route: clearable("route")
+  },
+  additionalProperties: false,
+  definitions
+};
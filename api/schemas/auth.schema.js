@@ -0,0 +1,122 @@
+// Request bodies of the auth routes. `passwordPolicy` is a custom keyword
+// (see auth/passwords.js) registered on the validator in server.js.
+import { LOCALES } from '../templates/index.js';
+
+export const definitions = {
+  email: {
+    type: "string",
+    maxLength: 254,
+    pattern: "^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$",
+    description: "Email address, e.g. jane@example.com"
+  },
+  password: {
+    type: "string",
+    minLength: 1,
+    maxLength: 1024,
+    description: "Current password (not checked against the policy, so temporary passwords still work)"
+  },
+  newPassword: {
+    type: "string",
+    passwordPolicy: true,
+    description: "New password; must satisfy the password policy"
+  },
+  resetCode: {
+    type: "string",
+    pattern: "^[0-9]{6}$",
+    description: "6-digit code from the forgot-password email"
+  },
+  refreshToken: {
+    type: "string",
+    minLength: 1,
+    maxLength: 512
+  },
+  locale: {
+    enum: LOCALES,
+    description: "Language of emails and SMS (en or sw)"
+  }
+};
+
+export const signupSchema = {
+  type: "object",
+  required: ["email"],
+  properties: {
+    email: { $ref: "#/definitions/email" },
+    locale: { $ref: "#/definitions/locale" }
+  },
+  additionalProperties: false,
+  definitions
+};
+
+export const loginSchema = {
+  type: "object",
+  required: ["email", "password"],
+  properties: {
+    email: { $ref: "#/definitions/email" },
+    password: { $ref: "#/definitions/password" }
+  },
+  additionalProperties: false,
+  definitions
+};
+
+export const resetPasswordSchema = {
+  type: "object",
+  required: ["newPassword"],
+  properties: {
+    newPassword: { $ref: "#/definitions/newPassword" }
+  },
+  additionalProperties: false,
+  definitions
+};
+
+export const changePasswordSchema = {
+  type: "object",
+  required: ["currentPassword", "newPassword"],
+  properties: {
+    currentPassword: { $ref: "#/definitions/password" },
+    newPassword: { $ref: "#/definitions/newPassword" }
+  },
+  additionalProperties: false,
+  definitions
+};
+
+export const forgotPasswordSchema = {
+  type: "object",
+  required: ["email"],
+  properties: {
+    email: { $ref: "#/definitions/email" }
+  },
+  additionalProperties: false,
+  definitions
+};
+
+export const forgotPasswordConfirmSchema = {
+  type: "object",
+  required: ["email", "code", "newPassword"],
+  properties: {
+    email: { $ref: "#/definitions/email" },
+    code: { $ref: "#/definitions/resetCode" },
+    newPassword: { $ref: "#/definitions/newPassword" }
+  },
+  additionalProperties: false,
+  definitions
+};
+
+export const tokenRefreshSchema = {
+  type: "object",
+  required: ["refreshToken"],
+  properties: {
+    refreshToken: { $ref: "#/definitions/refreshToken" }
+  },
+  additionalProperties: false,
+  definitions
+};
+
+export const deleteAccountSchema = {
+  type: "object",
+  required: ["password"],
+  properties: {
+    password: { $ref: "#/definitions/password" }
+  },
+  additionalProperties: false,
+  definitions
+};
@@ -0,0 +1,38 @@
+import { definitions } from './profile.schema.js';
+import { NOTIFICATION_CHANNELS } from '../reminders/preferences.js';
+import { LOCALES } from '../templates/index.js';
+
+export const preferencesSchema = {
+  type: "object",
+  minProperties: 1,
+  properties: {
+    timezone: { $ref: "#/definitions/timezone" },
+    reminderHour: { $ref: "#/definitions/reminderHour" },
+    leadTimes: { $ref: "#/definitions/leadTimes" },
+    channels: { $ref: "#/definitions/channels" },
+    locale: { $ref: "#/definitions/locale" }
+  },
+  additionalProperties: false,
+  definitions: {
+    ...definitions,
+    leadTimes: {
+      type: "array",
+      minItems: 1,
+      maxItems: 5,
+      uniqueItems: true,
+      items: { type: "integer", minimum: 0, maximum: 60 },
+      description: "Days before each vaccine to send a reminder (0 = on the day)"
+    },
+    channels: {
+      type: "array",
+      minItems: 1,
+      uniqueItems: true,
+      items: { enum: NOTIFICATION_CHANNELS },
+      description: "Where reminders are sent: email and/or SMS to the profile's phone number"
+    },
+    locale: {
+      enum: LOCALES,
+      description: "Language of reminders and other messages (en or sw)"
+    }
+  }
+};
@@ -25,6 +25,32 @@ export const definitions = {
     type: "string",
     enum: ["Male", "Female"],
     description: "Allowed gender values"
+  },
+  timezone: {
+    type: "string",
+    // Registered on the validator's Ajv instance in server.js
+    format: "iana-timezone",
+    description: "IANA time zone used for reminders, e.g. Africa/Nairobi"
+  },
+  reminderHour: {
+    type: "integer",
+    minimum: 0,
+    maximum: 23,
+    description: "Local hour (0–23) at which reminders are sent"
+  },
+  catchUp: {
+    type: "boolean",
+    description: "Plan catch-up dates for doses not recorded as administered"
+  },
+  scheduleId: {
+    type: "string",
+    minLength: 1,
+    description: "Vaccination schedule the baby follows, e.g. KEPI-2024"
+  },
+  clinicId: {
+    type: "string",
+    pattern: "^[A-Za-z0-9][A-Za-z0-9_-]*$",
+    description: "Clinic whose health workers may see and update the baby's vaccinations"
   }
 };
 
@@ -36,7 +62,9 @@ export const profileUpdateSchema = {
     phoneNumber: { $ref: "#/definitions/phoneNumber" },
     babyName: { $ref: "#/definitions/babyName" },
     dateOfBirth: { $ref: "#/definitions/dateOfBirth" },
-    gender: { $ref: "#/definitions/gender" }
+    gender: { $ref: "#/definitions/gender" },
+    timezone: { $ref: "#/definitions/timezone" },
+    reminderHour: { $ref: "#/definitions/reminderHour" }
   },
   additionalProperties: false,
   definitions
@@ -45,6 +73,22 @@ export const profileUpdateSchema = {
 export const addBabySchema = {
   type: "object",
   required: ["babyName", "dateOfBirth", "gender"],
+  properties: {
+    babyName: { $ref: "#/definitions/babyName" },
+    dateOfBirth: { $ref: "#/definitions/dateOfBirth" },
+    gender: { $ref: "#/definitions/gender" },
+    catchUp: { $ref: "#/definitions/catchUp" },
+    scheduleId: { $ref: "#/definitions/scheduleId" },
+    clinicId: { $ref: "#/definitions/clinicId" }
+  },
+  additionalProperties: false,
+  definitions
+};
+
+// PATCH /api/baby/:babyId: any of the editable fields, at least one
+export const updateBabySchema = {
+  type: "object",
+  minProperties: 1,
   properties: {
     babyName: { $ref: "#/definitions/babyName" },
     dateOfBirth: { $ref: "#/definitions/dateOfBirth" },
@@ -53,3 +97,13 @@ export const addBabySchema = {
   additionalProperties: false,
   definitions
 };
+
+export const catchUpSchema = {
+  type: "object",
+  required: ["enabled"],
+  properties: {
+    enabled: { $ref: "#/definitions/catchUp" }
+  },
+  additionalProperties: false,
+  definitions
+};
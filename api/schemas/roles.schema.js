@@ -0,0 +1,36 @@
+import { definitions } from './profile.schema.js';
+import { ALL_ROLES, ROLES } from '../auth/roles.js';
+
+// Admin: set a user's roles; health workers must belong to a clinic
+export const userRolesSchema = {
+  type: "object",
+  required: ["roles"],
+  properties: {
+    roles: {
+      type: "array",
+      minItems: 1,
+      uniqueItems: true,
+      items: { enum: ALL_ROLES }
+    },
+    clinicId: { $ref: "#/definitions/clinicId" }
+  },
+  if: {
+    properties: { roles: { type: "array", contains: { const: ROLES.HEALTH_WORKER } } }
+  },
+  then: { required: ["clinicId"] },
+  additionalProperties: false,
+  definitions
+};
+
+// Mother: link a baby to the clinic that vaccinates it (null to unlink)
+export const clinicLinkSchema = {
+  type: "object",
+  required: ["clinicId"],
+  properties: {
+    clinicId: {
+      anyOf: [{ $ref: "#/definitions/clinicId" }, { type: "null" }]
+    }
+  },
+  additionalProperties: false,
+  definitions
+};
@@ -0,0 +1,93 @@
+// One dose in a vaccination schedule. Ages and intervals are whole days
+// counted from birth / from the previous dose of the same series.
+export const scheduleEntrySchema = {
+  type: "object",
+  required: ["id", "schedule_id", "vaccine", "series", "dose", "earliest_age_days", "recommended_age_days"],
+  properties: {
+    id: { type: "integer", minimum: 1 },
+    schedule_id: {
+      type: "string",
+      pattern: "^[A-Za-z0-9][A-Za-z0-9_-]*$",
+      description: "Programme name and revision the dose belongs to, e.g. \"KEPI-2024\""
+    },
+    vaccine: {
+      type: "string",
+      minLength: 1,
+      description: "Dose name used in reminders and administered records, e.g. \"PCV10 2\""
+    },
+    series: {
+      type: "string",
+      minLength: 1,
+      description: "Groups the doses of one vaccine, e.g. \"PCV10\""
+    },
+    dose: { type: "integer", minimum: 0 },
+    age: {
+      type: "string",
+      description: "Display label, e.g. \"6 weeks\""
+    },
+    earliest_age_days: { type: "integer", minimum: 0 },
+    recommended_age_days: { type: "integer", minimum: 0 },
+    latest_age_days: {
+      type: "integer",
+      nullable: true,
+      minimum: 0,
+      description: "Oldest age the dose may still be given at; null = no limit"
+    },
+    min_interval_days: {
+      type: "integer",
+      nullable: true,
+      minimum: 0,
+      description: "Minimum days since the previous dose of the series; null for a first dose"
+    },
+    position: {
+      type: "integer",
+      minimum: 1,
+      description: "Display order within the schedule; entries without one sort by id"
+    },
+    retired_at: {
+      type: "string",
+      nullable: true,
+      pattern: "^\\d{4}-\\d{2}-\\d{2}T",
+      description: "When the dose was retired; retired doses are no longer planned"
+    }
+  },
+  additionalProperties: false
+};
+
+// Fields an admin may set on an entry. `id` and `schedule_id` are assigned
+// by the server, `position` by the reorder endpoint and `retired_at` by
+// retiring the entry.
+const editableProperties = Object.fromEntries(
+  ["vaccine", "series", "dose", "age", "earliest_age_days", "recommended_age_days",
+    "latest_age_days", "min_interval_days"]
+    .map(name => [name, scheduleEntrySchema.properties[name]])
+);
+
+export const scheduleEntryCreateSchema = {
+  type: "object",
+  required: ["vaccine", "series", "dose", "earliest_age_days", "recommended_age_days"],
+  properties: editableProperties,
+  additionalProperties: false
+};
+
+export const scheduleEntryUpdateSchema = {
+  type: "object",
+  minProperties: 1,
+  properties: editableProperties,
+  additionalProperties: false
+};
+
+export const scheduleOrderSchema = {
+  type: "object",
+  required: ["ids"],
+  properties: {
+    ids: {
+      type: "array",
+      minItems: 1,
+      uniqueItems: true,
+      items: { type: "integer", minimum: 1 },
+      description: "Every active entry id of the schedule, in the new order"
+    }
+  },
+  additionalProperties: false
+};
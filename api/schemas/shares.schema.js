@@ -0,0 +1,39 @@
+import { definitions } from './auth.schema.js';
+import { SHARE_PERMISSIONS } from '../auth/shares.js';
+
+// Owner: invite a co-caregiver to a baby
+export const shareInviteSchema = {
+  type: "object",
+  required: ["email", "permission"],
+  properties: {
+    email: { $ref: "#/definitions/email" },
+    permission: {
+      enum: SHARE_PERMISSIONS,
+      description: "view: see the baby and get its reminders; edit: also record vaccinations"
+    }
+  },
+  additionalProperties: false,
+  definitions
+};
+
+// Owner: change what an invitee or co-caregiver may do
+export const sharePermissionSchema = {
+  type: "object",
+  required: ["permission"],
+  properties: {
+    permission: { enum: SHARE_PERMISSIONS }
+  },
+  additionalProperties: false,
+  definitions
+};
+
+// Invitee: accept the token from the invite email
+export const shareAcceptSchema = {
+  type: "object",
+  required: ["token"],
+  properties: {
+    token: { type: "string", minLength: 1, maxLength: 512 }
+  },
+  additionalProperties: false,
+  definitions
+};
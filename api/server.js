@@ -1,21 +1,31 @@
 import dotenv from 'dotenv';
 import express from 'express';
-import { SNSClient, SubscribeCommand, ListSubscriptionsByTopicCommand} from '@aws-sdk/client-sns';
 import { v4 as uuidv4 } from 'uuid';
 import { connectDB, getDB } from './db.js';
+import { clearReminders, planDueDates, syncReminders, syncMotherReminders } from './reminders/planner.js';
+import { isValidTimeZone } from './reminders/timezone.js';
+import { reminderSettings } from './reminders/preferences.js';
+import { planCatchUp } from './reminders/catchup.js';
+import {
+  DEFAULT_SCHEDULE_ID,
+  entriesForAge,
+  listSchedules,
+  loadBabySchedule,
+  loadSchedule,
+  scheduleIdOf
+} from './reminders/schedule.js';
+import {
+  createScheduleEntry,
+  getScheduleEntry,
+  reorderSchedule,
+  replanSchedule,
+  retireScheduleEntry,
+  updateScheduleEntry
+} from './reminders/admin.js';
+import { fileURLToPath } from 'url';
 import cors from 'cors';
-import bcrypt from 'bcrypt';
 import jwt from 'jsonwebtoken';
-import nodemailer from 'nodemailer';
 import serverless from 'serverless-http';
-import {
-  UpdateCommand,
-  GetCommand,
-  QueryCommand,
-  PutCommand,
-  BatchWriteCommand,
-  ScanCommand
-} from "@aws-sdk/lib-dynamodb";
 import {
   Validator,
   ValidationError
@@ -23,25 +33,98 @@ import {
 import {
   profileUpdateSchema,
   addBabySchema,
+  catchUpSchema,
+  updateBabySchema,
 } from './schemas/profile.schema.js';
+import { preferencesSchema } from './schemas/preferences.schema.js';
+import {
+  signupSchema,
+  loginSchema,
+  resetPasswordSchema,
+  changePasswordSchema,
+  forgotPasswordSchema,
+  forgotPasswordConfirmSchema,
+  tokenRefreshSchema,
+  deleteAccountSchema
+} from './schemas/auth.schema.js';
+import { clinicLinkSchema, userRolesSchema } from './schemas/roles.schema.js';
+import { ROLES, canAccessBaby, hasAnyRole, rolesOf } from './auth/roles.js';
+import { activeSession, endSession, refreshSession, startSession } from './auth/sessions.js';
+import { deleteAccount, exportAccount } from './auth/account.js';
+import { createNotifier } from './notify/index.js';
+import {
+  RESET_CODE_TTL_MINUTES,
+  checkPassword,
+  hashPassword,
+  issueResetCode,
+  passwordPolicyKeyword,
+  setPassword,
+  verifyResetCode
+} from './auth/passwords.js';
+import {
+  AUTH_RATE_LIMITS,
+  createCounterStore,
+  createRateLimiter,
+  normalizeEmail,
+  tooManyRequests
+} from './auth/ratelimit.js';
+import {
+  acceptInvite,
+  activeGrant,
+  clearShares,
+  grantsOf,
+  inviteCaregiver,
+  publicShare,
+  SHARE_INVITE_TTL_DAYS
+} from './auth/shares.js';
+import { administeredMarkSchema, administeredUpdateSchema } from './schemas/administered.schema.js';
+import {
+  administeredErrors,
+  administeredList,
+  editAdministered,
+  newAdministered
+} from './reminders/administered.js';
+import { vaccinationStatus } from './reminders/status.js';
+import {
+  DEFAULT_LOCALE,
+  LOCALES,
+  SAMPLES,
+  TEMPLATE_NAMES,
+  deepLink,
+  localeOf,
+  render
+} from './templates/index.js';
+import { shareAcceptSchema, shareInviteSchema, sharePermissionSchema } from './schemas/shares.schema.js';
+import {
+  scheduleEntryCreateSchema,
+  scheduleEntryUpdateSchema,
+  scheduleOrderSchema
+} from './schemas/schedule.schema.js';
 
 dotenv.config();
 
-// Create & configure the Express app
-const app = express();
+// Create & configure the Express app (exported for the tests)
+export const app = express();
 
 // Ensure single DB connection across warm invocations
-if (!global.ddb) {
+if (!global.db) {
   await connectDB();
-  global.ddb = getDB();
+  global.db = getDB();
 }
-const ddb = global.ddb;
-const { validate } = new Validator({ ajvOptions: { allErrors: true } });
+const db = global.db;
+const validator = new Validator({ ajvOptions: { allErrors: true } });
+validator.ajv.addFormat('iana-timezone', isValidTimeZone);
+validator.ajv.addKeyword(passwordPolicyKeyword);
+const { validate } = validator;
+const limiter = createRateLimiter(createCounterStore(db));
+// Per-account limits key on the email in the body
+const byEmail = (req) => req.body?.email && normalizeEmail(req.body.email);
 
 // CORS: allow only your vercel domain or * for testing
 app.use(cors({
   origin: process.env.ALLOWED_ORIGIN,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  exposedHeaders: ['Retry-After'],
   credentials: true
 }));
 
@@ -68,240 +151,430 @@ process.on('unhandledRejection', (reason, promise) => {
   console.error('Unhandled Rejection at:', promise, 'reason:', reason);
 });
 
-// Email setup for sending via Gmail locally. In Lambda, you can switch this to SES.
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS,
-  },
-});
-
-// Helper: send temporary password email
-async function sendTemporaryPassword(email, tempPassword) {
-  await transporter.sendMail({
-    from: `"Chanjo Chonjo" <${process.env.EMAIL_USER}>`,
-    to: email,
-    subject: 'Your Temporary Password',
-    html: `
-      <p>Hello,</p>
-      <p>Welcome to Chanjo! Here's your temporary password:</p>
-      <p><strong>${tempPassword}</strong></p>
-      <p>Please log in and reset your password within 15 minutes.</p>
-      <p>Best,<br/>Chanjo Chonjo</p>
-    `
-  });
-}
-
-// Helper: send password‐reset confirmation
-async function sendPasswordResetConfirmation(email) {
-  await transporter.sendMail({
-    from: `"Chanjo Chonjo" <${process.env.EMAIL_USER}>`,
-    to: email,
-    subject: "Your password has been changed",
-    html: `
-      <p>Hello,</p>
-      <p>This is a confirmation that your password was successfully changed.</p>
-      <p>If you did not perform this action, please contact support immediately.</p>
-      <p>Regards,<br/>Chanjo Chonjo</p>
-    `,
-  });
-}
-
-// parseAgeToDays (same logic as before)
-function parseAgeToDays(ageStr) {
-  ageStr = ageStr.trim().toLowerCase();
-  if (ageStr === 'birth') return 0;
-  const unitMap = { week: 7, weeks: 7, month: 30, months: 30, year: 365, years: 365 };
-  const rangeRegex = /^(\d+)[–-](\d+)\s*(\w+)$/;
-  const singleRegex = /^(\d+)\s*(\w+)$/;
-  let match = ageStr.match(rangeRegex);
-  if (match) {
-    const [, start, end, unit] = match;
-    const avg = (parseInt(start, 10) + parseInt(end, 10)) / 2;
-    return avg * (unitMap[unit] || 0);
-  }
-  match = ageStr.match(singleRegex);
-  if (match) {
-    const [, num, unit] = match;
-    return parseInt(num, 10) * (unitMap[unit] || 0);
-  }
-  return 0;
+// Email goes through the same pluggable provider as the cron's reminders
+// (see notify/): NOTIFY_PROVIDER, or `capture` with DB_DRIVER=memory, so the
+// API runs offline. Created on first use.
+let notifier;
+
+// Helper: send message template `name` (see templates/) by email, in the
+// recipient's locale
+async function sendTemplate(email, name, locale, vars) {
+  const { subject, text, html } = render(name, locale, vars);
+  notifier ??= await createNotifier();
+  await notifier.send({ to: email, subject, text, html });
 }
 
-// JWT Authentication Middleware
-const authenticateToken = (req, res, next) => {
+// JWT Authentication Middleware: the access token must be valid and its
+// session (see auth/sessions.js) still open. An expired token gets a 401
+// so the client knows to call /api/token/refresh.
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
     return res.status(401).json({ error: 'Missing or invalid Authorization header' });
   }
   const token = authHeader.split(' ')[1];
-  jwt.verify(token, process.env.JWT_SECRET, (err, payload) => {
-    if (err) {
-      console.error('JWT verify error:', err);
-      return res.status(403).json({ error: 'Invalid token' });
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Token expired' });
+    }
+    console.error('JWT verify error:', err);
+    return res.status(403).json({ error: 'Invalid token' });
+  }
+
+  try {
+    if (!await activeSession(db, payload.sid)) {
+      return res.status(401).json({ error: 'Session expired or revoked' });
+    }
+  } catch (err) {
+    console.error('Session check error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+  req.user = payload;
+  next();
+};
+
+// Role check (use after authenticateToken): the token must carry one of `roles`
+const authorize = (...roles) => (req, res, next) => {
+  if (!hasAnyRole(req.user, roles)) {
+    return res.status(403).json({ error: 'Not authorized' });
+  }
+  next();
+};
+
+// Baby access (use after authenticateToken): loads the :babyId baby into
+// req.baby if the user may `permission` it (see canAccessBaby); anyone
+// but the owner may hold a co-caregiver grant (req.grant)
+const authorizeBaby = (permission) => async (req, res, next) => {
+  try {
+    const baby = await db.babies.get(req.params.babyId);
+    if (!baby) {
+      return res.status(404).json({ error: 'Baby not found' });
+    }
+    const grant = baby.motherUserId === req.user.userId
+      ? null
+      : await activeGrant(db, baby.babyId, req.user.userId);
+    if (!canAccessBaby(req.user, baby, permission, grant)) {
+      return res.status(403).json({ error: 'Not authorized' });
     }
-    req.user = payload;
+    req.baby = baby;
+    req.grant = grant;
     next();
-  });
+  } catch (err) {
+    console.error('Baby access check error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
 };
 
+// Baby item -> the shape the app shows in profile and clinic lists
+const formatBaby = (b) => ({
+  id: b.babyId,
+  baby_name: b.babyName,
+  date_of_birth: b.dateOfBirth.split('T')[0],
+  gender: b.gender,
+  schedule_id: scheduleIdOf(b),
+  clinic_id: b.clinicId ?? null
+});
+
 // --- Health & Root endpoints ---
 app.get('/health', (_req, res) => res.status(200).json({ status: 'ok' }));
 app.get('/', (_req, res) => res.status(200).send('Chanjo chonjo backend is running'));
 
 // --- Signup ---
-const sns = new SNSClient({ region: 'us-east-1' });
-
-app.post('/api/signup', async (req, res) => {
-  try {
-    const { email } = req.body;
-    if (!email || typeof email !== 'string') {
-      return res.status(400).json({ error: 'Email required' });
-    }
-
-    // 1) Check if user already exists (using a GSI on email)
-    const existing = await ddb.send(new QueryCommand({
-      TableName: 'mothers',
-      IndexName: 'EmailIndex',
-      KeyConditionExpression: 'email = :e',
-      ExpressionAttributeValues: { ':e': email }
-    }));
-    if (existing.Count > 0) {
-      return res.status(409).json({ message: 'User already exists' });
-    }
-
-    // 2) Create a temporary password & hash it
-    const rawPassword = Math.floor(100000 + Math.random() * 900000).toString();
-    const hashed = await bcrypt.hash(rawPassword, 10);
-    const userId = uuidv4();
+app.post(
+  '/api/signup',
+  limiter.limit('signup-ip', AUTH_RATE_LIMITS.signupIp),
+  limiter.limit('signup-email', AUTH_RATE_LIMITS.signupEmail, byEmail),
+  validate({ body: signupSchema }),
+  async (req, res) => {
+    try {
+      const { email, locale = DEFAULT_LOCALE } = req.body;
+
+      // The response is the same whether or not the email is registered;
+      // only the email that goes out differs.
+      const response = { message: 'Thanks! Check your inbox for the next step.' };
+
+      // 1) Create a temporary password & hash it (before the lookup, so both
+      //    paths take about as long)
+      const rawPassword = Math.floor(100000 + Math.random() * 900000).toString();
+      const hashed = await hashPassword(rawPassword);
+
+      // 2) Already registered: remind them instead
+      const existing = await db.mothers.findByEmail(email);
+      if (existing) {
+        await sendTemplate(existing.email, 'accountExists', localeOf(existing), {
+          link: deepLink('/login')
+        });
+        return res.status(202).json(response);
+      }
 
-    // 3) Put a new “mother” item into DynamoDB
-    await ddb.send(new PutCommand({
-      TableName: 'mothers',
-      Item: {
-        userId,
+      // 3) Store a new “mother” item; logging in with the mailed password
+      //    proves the address, which sets email_verified
+      await db.mothers.create({
+        userId: uuidv4(),
         email,
         full_name: null,
+        locale,
         babies: [],
         user: {
           hashed_password: hashed,
           must_reset_password: true,
+          email_verified: false,
           created_at: new Date().toISOString()
         }
+      });
+
+      // 4) Send temporary password (the welcome email)
+      await sendTemplate(email, 'temporaryPassword', locale, {
+        password: rawPassword,
+        minutes: 15,
+        link: deepLink('/login')
+      });
+
+      return res.status(202).json(response);
+    }
+    catch (err) {
+      console.error('Signup error:', err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+// --- Reset Password ---
+app.post(
+  '/api/reset-password',
+  limiter.limit('password-change-ip', AUTH_RATE_LIMITS.passwordChangeIp),
+  validate({ body: resetPasswordSchema }),
+  async (req, res) => {
+    try {
+      const authHeader = req.headers.authorization;
+      const { newPassword } = req.body;
+      if (!authHeader?.startsWith('Bearer ')) {
+        return res.status(401).json({ error: 'Unauthorized' });
       }
-    }));
 
-    // 4) Send temporary password
-    await sendTemporaryPassword(email, rawPassword);
+      const token = authHeader.split(' ')[1];
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const userId = decoded.userId;
+      if (!await activeSession(db, decoded.sid)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+
+      // Only for replacing the mailed temporary password; everyone else
+      // must prove they know the current one
+      const current = await db.mothers.get(userId);
+      if (!current) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+      if (!current.user?.must_reset_password) {
+        return res.status(403).json({ error: 'Use /api/change-password to change your password' });
+      }
 
-    // 5) Issue a short‐lived JWT so they can log in and reset
-    const token = jwt.sign(
-      { userId, email },
-      process.env.JWT_SECRET,
-      { expiresIn: '15m' }
-    );
+      // A new password logs out every device; this one gets a fresh session
+      const mother = await setPassword(db, userId, newPassword);
+      const { accessToken, refreshToken, expiresIn } = await startSession(db, mother);
 
-    return res.status(201).json({ message: 'Registered. Check your inbox to confirm SNS subscription.', token });
+      await sendTemplate(decoded.email, 'passwordChanged', localeOf(mother), {
+        link: deepLink('/forgot-password', { email: decoded.email })
+      });
+      res.status(200).json({ message: 'Password updated', token: accessToken, refreshToken, expiresIn });
+    } catch (error) {
+      console.error('Reset error:', error);
+      res.status(401).json({ error: 'Invalid token or server error' });
+    }
   }
-  catch (err) {
-    console.error('Signup error:', err);
-    return res.status(500).json({ error: 'Server error' });
+);
+
+// --- Forgot password: mail a one-time code ---
+// Always answers the same way, so it cannot be used to probe for accounts
+app.post(
+  '/api/forgot-password',
+  limiter.limit('forgot-password-ip', AUTH_RATE_LIMITS.forgotPasswordIp),
+  validate({ body: forgotPasswordSchema }),
+  async (req, res) => {
+    try {
+      const { email } = req.body;
+
+      const mother = await db.mothers.findByEmail(email);
+      if (mother) {
+        const { code, limited } = await issueResetCode(db, mother);
+        if (limited) {
+          console.warn(`Password reset rate limit reached for ${mother.userId}`);
+        } else {
+          await sendTemplate(mother.email, 'passwordResetCode', localeOf(mother), {
+            code,
+            minutes: RESET_CODE_TTL_MINUTES,
+            link: deepLink('/forgot-password', { email: mother.email })
+          });
+        }
+      }
+
+      res.json({ message: 'If that email is registered, a reset code is on its way.' });
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
   }
-});
+);
 
-// --- Reset Password ---
-app.post('/api/reset-password', async (req, res) => {
-  try {
-    const authHeader = req.headers.authorization;
-    const { newPassword } = req.body;
-    if (!authHeader?.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Unauthorized' });
+// --- Forgot password: set a new password with the code ---
+app.post(
+  '/api/forgot-password/confirm',
+  limiter.limit('reset-code-ip', AUTH_RATE_LIMITS.resetCodeIp),
+  limiter.limit('reset-code-email', AUTH_RATE_LIMITS.resetCodeEmail, byEmail),
+  validate({ body: forgotPasswordConfirmSchema }),
+  async (req, res) => {
+    try {
+      const { email, code, newPassword } = req.body;
+
+      const mother = await db.mothers.findByEmail(email);
+      if (!mother || !await verifyResetCode(db, mother, code)) {
+        return res.status(400).json({ error: 'Invalid or expired code' });
+      }
+
+      // Uses the code up and logs out every device; the mailed code also
+      // proves the address
+      await setPassword(db, mother.userId, newPassword);
+      await db.mothers.update(mother.userId, { 'user.email_verified': true });
+      await sendTemplate(mother.email, 'passwordChanged', localeOf(mother), {
+        link: deepLink('/forgot-password', { email: mother.email })
+      });
+      res.json({ message: 'Password updated. Please log in.' });
+    } catch (error) {
+      console.error('Forgot password confirm error:', error);
+      res.status(500).json({ error: 'Server error' });
     }
+  }
+);
 
-    const token = authHeader.split(' ')[1];
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const userId = decoded.userId;
-
-    const newHashedPassword = await bcrypt.hash(newPassword, 10);
-    await ddb.send(new UpdateCommand({
-      TableName: 'mothers',
-      Key: { userId },
-      UpdateExpression: 'SET #user.#hashed = :hp, #user.#reset = :reset',
-      ExpressionAttributeNames: {
-        '#user': 'user',
-        '#hashed': 'hashed_password',
-        '#reset': 'must_reset_password'
-      },
-      ExpressionAttributeValues: {
-        ':hp': newHashedPassword,
-        ':reset': false
+// --- Change password (knows the current one) ---
+app.post(
+  '/api/change-password',
+  limiter.limit('password-change-ip', AUTH_RATE_LIMITS.passwordChangeIp),
+  authenticateToken,
+  validate({ body: changePasswordSchema }),
+  async (req, res) => {
+    try {
+      const { currentPassword, newPassword } = req.body;
+
+      const mother = await db.mothers.get(req.user.userId);
+      if (!mother || !await checkPassword(mother, currentPassword)) {
+        return res.status(401).json({ error: 'Current password is incorrect' });
       }
-    }));
 
-    await sendPasswordResetConfirmation(decoded.email);
-    res.status(200).json({ message: 'Password updated' });
-  } catch (error) {
-    console.error('Reset error:', error);
-    res.status(401).json({ error: 'Invalid token or server error' });
+      // Every other device is logged out; this one gets a fresh session
+      const updated = await setPassword(db, mother.userId, newPassword);
+      const { accessToken, refreshToken, expiresIn } = await startSession(db, updated);
+
+      await sendTemplate(mother.email, 'passwordChanged', localeOf(mother), {
+        link: deepLink('/forgot-password', { email: mother.email })
+      });
+      res.json({ message: 'Password updated', token: accessToken, refreshToken, expiresIn });
+    } catch (error) {
+      console.error('Change password error:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
   }
-});
+);
 
 // --- Login ---
-app.post('/api/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
-    const { Items } = await ddb.send(new QueryCommand({
-      TableName: 'mothers',
-      IndexName: 'EmailIndex',
-      KeyConditionExpression: 'email = :e',
-      ExpressionAttributeValues: { ':e': email }
-    }));
-    const mother = Items[0];
-    if (!mother) return res.status(400).json({ error: 'User not found' });
-
-    // Compare password
-    if (!await bcrypt.compare(password, mother.user.hashed_password)) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+app.post(
+  '/api/login',
+  limiter.limit('login-ip', AUTH_RATE_LIMITS.loginIp),
+  validate({ body: loginSchema }),
+  async (req, res) => {
+    try {
+      const { email, password } = req.body;
+
+      // Locked accounts are refused before any password check
+      const lockedFor = await limiter.loginLockedFor(email);
+      if (lockedFor) {
+        return tooManyRequests(res, lockedFor);
+      }
+
+      // Unknown emails and wrong passwords get the same answer (and take as
+      // long); repeated failures lock the account for longer each time
+      let mother = await db.mothers.findByEmail(email);
+      if (!await checkPassword(mother, password)) {
+        const lockMs = await limiter.recordLoginFailure(email);
+        if (lockMs) {
+          return tooManyRequests(res, lockMs);
+        }
+        return res.status(401).json({ error: 'Invalid email or password' });
+      }
+      await limiter.clearLoginFailures(email);
+
+      // Every password was first mailed to this address, so logging in proves it
+      if (!mother.user.email_verified) {
+        mother = await db.mothers.update(mother.userId, { 'user.email_verified': true });
+      }
+
+      // Start a session: short-lived access JWT (carries the roles) + refresh token
+      const { accessToken: token, refreshToken, expiresIn } = await startSession(db, mother);
+
+      res.json({
+        message: 'Login successful',
+        token,
+        refreshToken,
+        expiresIn,
+        userId: mother.userId,
+        roles: rolesOf(mother),
+        mustResetPassword: mother.user.must_reset_password
+      });
+    } catch (error) {
+      console.error('Login error:', error);
+      res.status(500).json({ error: 'Server error' });
     }
+  }
+);
 
-    // Issue JWT (default expiry or from env)
-    const token = jwt.sign(
-      { userId: mother.userId, email: mother.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-    );
-
-    // Subscribe this email to our SNS topic (protocol="email")
-   // Before subscribing, check if this email is already subscribed
-    const existingSubs = await sns.send(new ListSubscriptionsByTopicCommand({
-      TopicArn: process.env.SNS_TOPIC_ARN
-    }));
-
-    const alreadySubscribed = existingSubs.Subscriptions.some(
-      (sub) => sub.Protocol === "email" && sub.Endpoint === email
-    );
-
-    if (!alreadySubscribed) {
-      await sns.send(new SubscribeCommand({
-        TopicArn: process.env.SNS_TOPIC_ARN,
-        Protocol: 'email',
-        Endpoint: email
-      }));
+// Exchange a refresh token for a new access token (the refresh token rotates)
+app.post(
+  '/api/token/refresh',
+  limiter.limit('token-refresh-ip', AUTH_RATE_LIMITS.tokenRefreshIp),
+  validate({ body: tokenRefreshSchema }),
+  async (req, res) => {
+    try {
+      const { refreshToken } = req.body;
+
+      const tokens = await refreshSession(db, refreshToken);
+      if (!tokens) {
+        return res.status(401).json({ error: 'Invalid or expired refresh token' });
+      }
+
+      res.json({ token: tokens.accessToken, refreshToken: tokens.refreshToken, expiresIn: tokens.expiresIn });
+    } catch (error) {
+      console.error('Token refresh error:', error);
+      res.status(500).json({ error: 'Server error' });
     }
+  }
+);
 
-    res.json({
-      message: 'Login successful',
-      token,
-      userId: mother.userId,
-      mustResetPassword: mother.user.must_reset_password
-    });
+// End the current session (its access and refresh tokens stop working)
+app.post('/api/logout', authenticateToken, async (req, res) => {
+  try {
+    await endSession(db, req.user.sid);
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// --- Account (data export & deletion) ---
+
+// Everything stored about the mother, as a JSON download
+app.get('/api/account/export', authenticateToken, async (req, res) => {
+  try {
+    const mother = await db.mothers.get(req.user.userId);
+    if (!mother) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    res.attachment('chanjo-account.json');
+    res.json(await exportAccount(db, mother));
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Account export error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// Close the account: removes the mother, her babies, reminders and sessions
+app.delete(
+  '/api/account',
+  limiter.limit('account-delete-ip', AUTH_RATE_LIMITS.accountDeleteIp),
+  authenticateToken,
+  validate({ body: deleteAccountSchema }),
+  async (req, res) => {
+    try {
+      // 1) Deleting everything needs the password, not just a token
+      const mother = await db.mothers.get(req.user.userId);
+      if (!mother || !await checkPassword(mother, req.body.password)) {
+        return res.status(401).json({ error: 'Password is incorrect' });
+      }
+
+      // 2) Remove her data (her reminders go first, so nothing more is sent)
+      //    and any login-failure state kept for her email
+      const removed = await deleteAccount(db, mother);
+      await limiter.clearLoginFailures(mother.email);
+
+      // 3) Confirm by email; the account is gone either way
+      try {
+        await sendTemplate(mother.email, 'accountDeleted', localeOf(mother), {});
+      } catch (mailErr) {
+        console.error('Account deletion email error:', mailErr);
+      }
+
+      res.json({ message: 'Account deleted', deleted: removed });
+    } catch (error) {
+      console.error('Account deletion error:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
 // --- Profile Routes ---
 
 // Add/Update profile (mother + optional baby)
@@ -312,18 +585,10 @@ app.post(
   async (req, res) => {
     try {
       const userId = req.user.userId;
-      const { fullName, phoneNumber, babyName, dateOfBirth, gender } = req.body;
+      const { fullName, phoneNumber, babyName, dateOfBirth, gender, timezone, reminderHour } = req.body;
 
       // A) Fetch mother to check must_reset_password
-      const { Item: mother } = await ddb.send(new GetCommand({
-        TableName: 'mothers',
-        Key: { userId },
-        ProjectionExpression: 'email, #u.#mrp, full_name, phone_number',
-        ExpressionAttributeNames: {
-          '#u': 'user',
-          '#mrp': 'must_reset_password'
-        }
-      }));
+      const mother = await db.mothers.get(userId);
       if (!mother) {
         return res.status(404).json({ error: 'Profile not found' });
       }
@@ -335,26 +600,21 @@ app.post(
       }
 
       // B) Enforce unique phone (exclude same user)
-      const phoneCheck = await ddb.send(new QueryCommand({
-        TableName: 'mothers',
-        IndexName: 'PhoneNumberIndex',
-        KeyConditionExpression: 'phone_number = :pn',
-        ExpressionAttributeValues: { ':pn': phoneNumber }
-      }));
-      if (phoneCheck.Count > 0 && phoneCheck.Items[0].userId !== userId) {
+      const phoneOwner = await db.mothers.findByPhone(phoneNumber);
+      if (phoneOwner && phoneOwner.userId !== userId) {
         return res.status(409).json({ error: 'Phone number already in use' });
       }
 
-      // C) Update mother's full_name & phone_number
-      await ddb.send(new UpdateCommand({
-        TableName: 'mothers',
-        Key: { userId },
-        UpdateExpression: 'SET full_name = :fn, phone_number = :pn',
-        ExpressionAttributeValues: {
-          ':fn': fullName,
-          ':pn': phoneNumber
-        }
-      }));
+      // C) Update mother's full_name & phone_number (+ reminder settings if sent)
+      const updated = await db.mothers.update(userId, {
+        full_name: fullName,
+        phone_number: phoneNumber,
+        ...(timezone !== undefined && { timezone }),
+        ...(reminderHour !== undefined && { reminder_hour: reminderHour })
+      });
+
+      // Reminder times depend on these, so re-plan every baby when they change
+      await syncMotherReminders(db, mother, updated);
 
       // D) If no baby fields, we're done
       if (!babyName || !dateOfBirth || !gender) {
@@ -362,12 +622,7 @@ app.post(
       }
 
       // E) Check duplicate baby name under this user
-      const { Items: existingBabies = [] } = await ddb.send(new QueryCommand({
-        TableName: 'babies',
-        IndexName: 'MotherIndex',
-        KeyConditionExpression: 'motherUserId = :m',
-        ExpressionAttributeValues: { ':m': userId }
-      }));
+      const existingBabies = await db.babies.listByMother(userId);
       const duplicate = existingBabies.some(
         b => b.babyName.toLowerCase() === babyName.toLowerCase()
       );
@@ -377,17 +632,15 @@ app.post(
 
       // F) Insert new baby
       const babyId = uuidv4();
-      await ddb.send(new PutCommand({
-        TableName: 'babies',
-        Item: {
-          babyId,
-          babyName,
-          motherUserId: userId,
-          motherEmail: mother.email,
-          dateOfBirth: new Date(dateOfBirth).toISOString(),
-          gender
-        }
-      }));
+      await db.babies.create({
+        babyId,
+        babyName,
+        motherUserId: userId,
+        motherEmail: mother.email,
+        dateOfBirth: new Date(dateOfBirth).toISOString(),
+        gender,
+        scheduleId: DEFAULT_SCHEDULE_ID
+      });
 
       return res.status(201).json({
         message: 'Profile updated & baby added successfully',
@@ -406,41 +659,28 @@ app.get('/api/profile', authenticateToken, async (req, res) => {
     const userId = req.user.userId;
 
     // 1) Fetch mother
-    const { Item: mother } = await ddb.send(new GetCommand({
-      TableName: 'mothers',
-      Key: { userId },
-      ProjectionExpression: '#u.#mrp, full_name, phone_number',
-      ExpressionAttributeNames: {
-        '#u': 'user',
-        '#mrp': 'must_reset_password'
-      }
-    }));
+    const mother = await db.mothers.get(userId);
     if (!mother) {
       return res.status(404).json({ error: 'Profile not found' });
     }
 
     // 2) Fetch babies
-    const { Items: babyItems = [] } = await ddb.send(new QueryCommand({
-      TableName: 'babies',
-      IndexName: 'MotherIndex',
-      KeyConditionExpression: 'motherUserId = :m',
-      ExpressionAttributeValues: { ':m': userId }
-    }));
+    const babyItems = await db.babies.listByMother(userId);
 
     // 3) Format baby data
-    const formattedBabies = babyItems.map(b => ({
-      id: b.babyId,
-      baby_name: b.babyName,
-      date_of_birth: b.dateOfBirth.split('T')[0],
-      gender: b.gender
-    }));
+    const formattedBabies = babyItems.map(formatBaby);
 
+    const { timezone, reminderHour } = reminderSettings(mother);
     return res.json({
       mustResetPassword: mother.user.must_reset_password,
+      emailVerified: !!mother.user.email_verified,
       profileComplete: !!mother.full_name && !!mother.phone_number && formattedBabies.length > 0,
       mother: {
         full_name: mother.full_name,
-        phone_number: mother.phone_number
+        phone_number: mother.phone_number,
+        timezone,
+        reminder_hour: reminderHour,
+        roles: rolesOf(mother)
       },
       babies: formattedBabies
     });
@@ -450,11 +690,73 @@ app.get('/api/profile', authenticateToken, async (req, res) => {
   }
 });
 
+// --- Reminder Preferences ---
+
+// Get the mother's reminder preferences (defaults filled in)
+app.get('/api/preferences', authenticateToken, async (req, res) => {
+  try {
+    const mother = await db.mothers.get(req.user.userId);
+    if (!mother) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    const { timezone, reminderHour, leadDays, channels, locale } = reminderSettings(mother);
+    return res.json({ timezone, reminderHour, leadTimes: leadDays, channels, locale });
+  } catch (error) {
+    console.error('Preferences error:', error);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update any of timezone / reminderHour / leadTimes / channels / locale and re-plan reminders
+app.put(
+  '/api/preferences',
+  authenticateToken,
+  validate({ body: preferencesSchema }),
+  async (req, res) => {
+    try {
+      const userId = req.user.userId;
+      const { timezone, reminderHour, leadTimes, channels, locale } = req.body;
+
+      const mother = await db.mothers.get(userId);
+      if (!mother) {
+        return res.status(404).json({ error: 'Profile not found' });
+      }
+      if (channels?.includes('sms') && !mother.phone_number) {
+        return res.status(400).json({ error: 'Add a phone number to your profile before enabling SMS reminders' });
+      }
+
+      const updated = await db.mothers.update(userId, {
+        ...(timezone !== undefined && { timezone }),
+        ...(reminderHour !== undefined && { reminder_hour: reminderHour }),
+        ...(leadTimes !== undefined && { reminder_lead_days: [...leadTimes].sort((a, b) => b - a) }),
+        ...(channels !== undefined && { notification_channels: channels }),
+        ...(locale !== undefined && { locale })
+      });
+      const replanned = await syncMotherReminders(db, mother, updated);
+
+      const settings = reminderSettings(updated);
+      return res.json({
+        message: replanned ? 'Preferences updated & reminders rescheduled' : 'Preferences updated',
+        preferences: {
+          timezone: settings.timezone,
+          reminderHour: settings.reminderHour,
+          leadTimes: settings.leadDays,
+          channels: settings.channels,
+          locale: settings.locale
+        }
+      });
+    } catch (error) {
+      console.error('Preferences error:', error);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
 // --- Baby Birth-Date Adjustment & Reminder Regeneration ---
-app.put('/api/baby/:id/birth-date', authenticateToken, async (req, res) => {
+app.put('/api/baby/:babyId/birth-date', authenticateToken, authorizeBaby('manage'), async (req, res) => {
   try {
-    const userId = req.user.userId;
-    const babyId = req.params.id;
+    const { babyId } = req.baby;
     const { birthDate } = req.body;
 
     // Validate YYYY-MM-DD
@@ -467,115 +769,13 @@ app.put('/api/baby/:id/birth-date', authenticateToken, async (req, res) => {
     }
     const isoDOB = parsed.toISOString();
 
-    // 1) Update baby’s DOB
-    await ddb.send(new UpdateCommand({
-      TableName: 'babies',
-      Key: { babyId },
-      UpdateExpression: 'SET dateOfBirth = :dob',
-      ExpressionAttributeValues: { ':dob': isoDOB }
-    }));
-
-    // 2) Delete existing UNSENT reminders for this baby
-    const { Items: existingRems = [] } = await ddb.send(new QueryCommand({
-      TableName: 'reminders',
-      IndexName: 'ByBaby',
-      KeyConditionExpression: 'babyId = :b AND sent = :false',
-      ExpressionAttributeValues: {
-        ':b': babyId,
-        ':false': 'false',
-      }
-    }));
-    const deletes = existingRems.map(r => ({
-      DeleteRequest: { Key: { reminderId: r.reminderId } }
-    }));
-    if (deletes.length) {
-      while (deletes.length) {
-        const chunk = deletes.splice(0, 25);
-        await ddb.send(new BatchWriteCommand({
-          RequestItems: { reminders: chunk }
-        }));
-      }
-    }
-
-    // 3) Recompute & batch‐write new reminders
-    const now = new Date();
-    const remindersToInsert = [];
-    const { Items: schedule = [] } = await ddb.send(new ScanCommand({
-      TableName: 'vaccination_schedule'
-    }));
-
-    for (let { age, vaccine } of schedule) {
-      const daysOffset = parseAgeToDays(age);
-      const vacDate = new Date(parsed);
-      vacDate.setDate(parsed.getDate() + daysOffset);
-
-      // Skip if vacDate is in the past
-      if (vacDate <= now) {
-        continue;
-      }
-
-      // Compute diffDays
-      const msPerDay = 1000 * 60 * 60 * 24;
-      const diffDays = (vacDate.getTime() - now.getTime()) / msPerDay;
-
-      // Weekly reminder if ≥7 days away
-      if (diffDays >= 7) {
-        const weeklyRem = new Date(vacDate);
-        weeklyRem.setDate(vacDate.getDate() - 7);
-        weeklyRem.setHours(14, 0, 0, 0);
-        if (weeklyRem > now) {
-          const scheduledDateStr = weeklyRem.toISOString().split('T')[0];
-          const vacDateStr = vacDate.toISOString();
-          const reminderId = `${babyId}#${vaccine}#weekly#${scheduledDateStr}`;
-          remindersToInsert.push({
-            PutRequest: {
-              Item: {
-                reminderId,
-                motherId: userId,
-                babyId,
-                vaccine,
-                vaccination_date: vacDateStr,
-                scheduled_at: weeklyRem.toISOString(),
-                sent: "false",
-                type: "weekly"
-              }
-            }
-          });
-        }
-      }
+    // 1) Baby loaded (and ownership checked) by authorizeBaby
 
-      // Daily reminder (1 day before)
-      const dailyRem = new Date(vacDate);
-      dailyRem.setDate(vacDate.getDate() - 1);
-      dailyRem.setHours(14, 0, 0, 0);
-      if (dailyRem > now) {
-        const scheduledDateStr = dailyRem.toISOString().split('T')[0];
-        const vacDateStr = vacDate.toISOString();
-        const reminderId = `${babyId}#${vaccine}#daily#${scheduledDateStr}`;
-        remindersToInsert.push({
-          PutRequest: {
-            Item: {
-              reminderId,
-              motherId: userId,
-              babyId,
-              vaccine,
-              vaccination_date: vacDateStr,
-              scheduled_at: dailyRem.toISOString(),
-              sent: "false",
-              type: "daily"
-            }
-          }
-        });
-      }
-    }
+    // 2) Update baby’s DOB
+    const updated = await db.babies.update(babyId, { dateOfBirth: isoDOB });
 
-    // 4) Batch write them
-    while (remindersToInsert.length) {
-      const batch = remindersToInsert.splice(0, 25);
-      await ddb.send(new BatchWriteCommand({
-        RequestItems: { reminders: batch }
-      }));
-    }
+    // 3) Re-plan reminders from the new DOB (drops the now-stale ones)
+    await syncReminders(db, updated);
 
     return res.json({ message: "Baby DOB and reminders updated" });
   } catch (err) {
@@ -591,7 +791,7 @@ app.post(
   authenticateToken,
   async (req, res) => {
     const motherUserId = req.user.userId;
-    const { babyName, dateOfBirth, gender } = req.body;
+    const { babyName, dateOfBirth, gender, catchUp = false, scheduleId = DEFAULT_SCHEDULE_ID, clinicId } = req.body;
 
     // 1) Basic validation (schema enforces most)
     if (!babyName || !dateOfBirth || !gender) {
@@ -599,187 +799,160 @@ app.post(
     }
 
     // 2) Ensure mother exists
-    const { Item: mother } = await ddb.send(new GetCommand({
-      TableName: "mothers",
-      Key: { userId: motherUserId }
-    }));
+    const mother = await db.mothers.get(motherUserId);
     if (!mother) {
       return res.status(404).json({ error: "Mother profile not found" });
     }
 
     // 3) Prevent duplicate baby name
-    const { Items: existingBabies = [] } = await ddb.send(new QueryCommand({
-      TableName: "babies",
-      IndexName: "MotherIndex",
-      KeyConditionExpression: "motherUserId = :m",
-      ExpressionAttributeValues: { ":m": motherUserId }
-    }));
+    const existingBabies = await db.babies.listByMother(motherUserId);
     if (existingBabies.some(b => b.babyName.toLowerCase() === babyName.toLowerCase())) {
       return res.status(409).json({ error: "You already have a baby with that name" });
     }
 
+    // 3b) The baby is pinned to this schedule for life, so it must exist
+    const schedules = await listSchedules(db);
+    if (!schedules.some(s => s.scheduleId === scheduleId)) {
+      return res.status(400).json({ error: `Unknown vaccination schedule: ${scheduleId}` });
+    }
+
     // 4) Create the baby record
     const babyId = uuidv4();
     const isoDOB = new Date(dateOfBirth + "T00:00:00Z").toISOString();
-    await ddb.send(new PutCommand({
-      TableName: "babies",
-      Item: {
-        babyId,
-        babyName,
-        motherUserId,
-        motherEmail: mother.email,
-        dateOfBirth: isoDOB,
-        gender
-      }
-    }));
-
-    // 5) Build reminders
-    const now = new Date();
-    const toWrite = [];
-    const { Items: schedule = [] } = await ddb.send(new ScanCommand({
-      TableName: "vaccination_schedule"
-    }));
-
-    for (let { age, vaccine } of schedule) {
-      const offset = parseAgeToDays(age);
-      const vaccDate = new Date(isoDOB);
-      vaccDate.setDate(vaccDate.getDate() + offset);
-
-      if (vaccDate <= now) {
-        continue;
-      }
-
-      const msPerDay = 1000 * 60 * 60 * 24;
-      const diffDays = (vaccDate.getTime() - now.getTime()) / msPerDay;
-
-      // Weekly reminder
-      if (diffDays >= 7) {
-        const weeklyRem = new Date(vaccDate);
-        weeklyRem.setDate(vaccDate.getDate() - 7);
-        weeklyRem.setHours(11, 0, 0, 0);
-        if (weeklyRem > now) {
-          toWrite.push({
-            PutRequest: {
-              Item: {
-                reminderId: uuidv4(),
-                motherId: motherUserId,
-                babyId,
-                vaccine,
-                vaccination_date: vaccDate.toISOString(),
-                scheduled_at: weeklyRem.toISOString(),
-                sent: "false",
-                type: "weekly"
-              }
-            }
-          });
-        }
-      }
-
-      // Daily reminder
-      const dailyRem = new Date(vaccDate);
-      dailyRem.setDate(vaccDate.getDate() - 1);
-      dailyRem.setHours(11, 0, 0, 0);
-      if (dailyRem > now) {
-        toWrite.push({
-          PutRequest: {
-            Item: {
-              reminderId: uuidv4(),
-              motherId: motherUserId,
-              babyId,
-              vaccine,
-              vaccination_date: vaccDate.toISOString(),
-              scheduled_at: dailyRem.toISOString(),
-              sent: "false",
-              type: "daily"
-            }
-          }
-        });
-      }
-    }
+    const baby = await db.babies.create({
+      babyId,
+      babyName,
+      motherUserId,
+      motherEmail: mother.email,
+      dateOfBirth: isoDOB,
+      gender,
+      scheduleId,
+      ...(clinicId && { clinicId }),
+      ...(catchUp && { catch_up: true })
+    });
 
-    // 6) Batch-write reminders in chunks of 25
-    while (toWrite.length) {
-      const chunk = toWrite.splice(0, 25);
-      await ddb.send(new BatchWriteCommand({
-        RequestItems: { reminders: chunk }
-      }));
-    }
+    // 5) Schedule reminders
+    await syncReminders(db, baby, { mother });
 
-    // 7) Respond
+    // 6) Respond
     res.status(201).json({
       message: "Baby added & reminders scheduled successfully",
-      baby: { babyId, babyName, dateOfBirth, gender }
+      baby: { babyId, babyName, dateOfBirth, gender, catchUp, scheduleId, clinicId: clinicId ?? null }
     });
   }
 );
 
-// --- Initialize administered list for a baby ---
-app.post(
-  "/api/baby/:babyId/administered/init",
+// --- Edit a baby's details ---
+app.patch(
+  "/api/baby/:babyId",
   authenticateToken,
+  authorizeBaby("manage"),
+  validate({ body: updateBabySchema }),
   async (req, res) => {
     try {
-      const userId = req.user.userId;
-      const babyId = req.params.babyId;
-
-      // 1) Fetch baby to verify ownership and DOB
-      const { Item: baby } = await ddb.send(
-        new GetCommand({
-          TableName: "babies",
-          Key: { babyId },
-          ProjectionExpression: "motherUserId, dateOfBirth",
-        })
-      );
-      if (!baby) {
-        return res.status(404).json({ error: "Baby not found" });
+      const baby = req.baby;
+      const { babyName, dateOfBirth, gender } = req.body;
+      const fields = {};
+
+      // 1) A new name must not clash with the mother's other babies
+      if (babyName !== undefined) {
+        const siblings = await db.babies.listByMother(baby.motherUserId);
+        const duplicate = siblings.some(b =>
+          b.babyId !== baby.babyId && b.babyName.toLowerCase() === babyName.toLowerCase()
+        );
+        if (duplicate) {
+          return res.status(409).json({ error: "You already have a baby with that name" });
+        }
+        fields.babyName = babyName;
       }
-      if (baby.motherUserId !== userId) {
-        return res.status(403).json({ error: "Not authorized" });
+
+      // 2) Dates must be real calendar days
+      if (dateOfBirth !== undefined) {
+        const parsed = new Date(dateOfBirth + "T00:00:00Z");
+        if (isNaN(parsed) || parsed.toISOString().split("T")[0] !== dateOfBirth) {
+          return res.status(400).json({ error: "Invalid date" });
+        }
+        fields.dateOfBirth = parsed.toISOString();
       }
+      if (gender !== undefined) fields.gender = gender;
 
-      // 2) Ensure `administered` exists if not
-      await ddb.send(
-        new UpdateCommand({
-          TableName: "babies",
-          Key: { babyId },
-          UpdateExpression: "SET administered = if_not_exists(administered, :empty_list)",
-          ExpressionAttributeValues: { ":empty_list": [] },
-        })
-      );
+      // 3) Save, and re-plan reminders if the due dates moved
+      const updated = await db.babies.update(baby.babyId, fields);
+      if (fields.dateOfBirth && fields.dateOfBirth !== baby.dateOfBirth) {
+        await syncReminders(db, updated);
+      }
+
+      return res.json({ baby: formatBaby(updated) });
+    } catch (err) {
+      console.error("Error in PATCH /api/baby/:babyId:", err);
+      return res.status(500).json({ error: "Server error while updating baby" });
+    }
+  }
+);
+
+// --- Delete a baby with its reminders and administered history ---
+app.delete(
+  "/api/baby/:babyId",
+  authenticateToken,
+  authorizeBaby("manage"),
+  async (req, res) => {
+    try {
+      const { babyId } = req.baby;
+
+      // 1) Reminders first, so none is sent for a baby that no longer exists
+      const reminders = await clearReminders(db, babyId);
+
+      // 2) Co-caregivers lose access with it
+      await clearShares(db, babyId);
+
+      // 3) The administered history lives on the baby record itself
+      await db.babies.delete(babyId);
+
+      return res.json({ message: "Baby deleted", babyId, remindersDeleted: reminders });
+    } catch (err) {
+      console.error("Error in DELETE /api/baby/:babyId:", err);
+      return res.status(500).json({ error: "Server error while deleting baby" });
+    }
+  }
+);
+
+// --- Initialize administered list for a baby ---
+app.post(
+  "/api/baby/:babyId/administered/init",
+  authenticateToken,
+  authorizeBaby("record"),
+  async (req, res) => {
+    try {
+      // 1) Baby loaded (and access checked) by authorizeBaby
+      const baby = req.baby;
+      const babyId = baby.babyId;
+
+      // 2) Ensure `administered` exists if not
+      if (!Array.isArray(baby.administered)) {
+        await db.babies.update(babyId, { administered: [] });
+      }
+
+      // Catch-up babies keep missed doses outstanding so they get a catch-up plan
+      if (baby.catch_up) {
+        return res.status(200).json({
+          message: "Administered list initialized (catch-up mode: past vaccines left outstanding)"
+        });
+      }
 
       // 3) Compute past vaccines
-      const dob = new Date(baby.dateOfBirth);
       const now = new Date();
-      const { Items: scheduleItems = [] } = await ddb.send(
-        new ScanCommand({ TableName: "vaccination_schedule" })
-      );
-      const itemsToAdd = [];
-      for (let { age, vaccine } of scheduleItems) {
-        const daysOffset = parseAgeToDays(age);
-        const vaccDate = new Date(dob);
-        vaccDate.setDate(dob.getDate() + daysOffset);
-        if (vaccDate < now) {
-          itemsToAdd.push({
-            vaccine,
-            date: vaccDate.toISOString().split("T")[0],
-          });
-        }
-      }
+      const scheduleItems = await loadBabySchedule(db, baby);
+      const recorded = new Set(administeredList(baby).map(a => a.vaccine));
+      const itemsToAdd = planDueDates(baby, scheduleItems)
+        .filter(({ vaccine, date }) => date < now && !recorded.has(vaccine))
+        .map(({ vaccine, date }) =>
+          newAdministered({ vaccine, date: date.toISOString().split("T")[0], type: "init" }, req.user, { now })
+        );
 
-      // 4) Append past vaccines if any
+      // 4) Append past vaccines if any, dropping reminders still pending for them
       if (itemsToAdd.length > 0) {
-        await ddb.send(
-          new UpdateCommand({
-            TableName: "babies",
-            Key: { babyId },
-            UpdateExpression:
-              "SET administered = list_append(if_not_exists(administered, :empty_list), :pastVaccines)",
-            ExpressionAttributeValues: {
-              ":empty_list": [],
-              ":pastVaccines": itemsToAdd,
-            },
-          })
-        );
+        const updated = await db.babies.appendAdministered(babyId, itemsToAdd);
+        await syncReminders(db, updated);
       }
 
       return res.status(200).json({ message: "Administered list initialized" });
@@ -790,41 +963,99 @@ app.post(
   }
 );
 
-// --- Mark a vaccine as administered (idempotent) ---
-app.post(
-  "/api/baby/:babyId/administered/mark",
+// --- Catch-up plan for doses not yet administered ---
+app.get(
+  "/api/baby/:babyId/catch-up",
   authenticateToken,
+  authorizeBaby("view"),
   async (req, res) => {
     try {
-      const userId = req.user.userId;
-      const babyId = req.params.babyId;
-      const { vaccine, date, type = "manual" } = req.body;
+      const { baby } = req;
+      const babyId = baby.babyId;
+
+      const schedule = await loadBabySchedule(db, baby);
+      const toDay = (d) => d && d.toISOString().split("T")[0];
+      const plan = planCatchUp(baby, schedule).map(p => ({
+        vaccine: p.vaccine,
+        dose: p.dose,
+        recommendedDate: toDay(p.recommendedDate),
+        date: toDay(p.date),
+        catchUp: p.catchUp,
+        reason: p.reason
+      }));
 
-      if (!vaccine || !date) {
-        return res.status(400).json({ error: "Missing 'vaccine' or 'date' in request body" });
-      }
+      return res.json({ babyId, scheduleId: scheduleIdOf(baby), catchUpEnabled: !!baby.catch_up, plan });
+    } catch (err) {
+      console.error("Error in GET /api/baby/:babyId/catch-up:", err);
+      return res.status(500).json({ error: "Server error while computing catch-up plan" });
+    }
+  }
+);
 
-      // 1) Fetch current administered list
-      const getRes = await ddb.send(
-        new GetCommand({
-          TableName: "babies",
-          Key: { babyId },
-          ProjectionExpression: "administered, motherUserId",
-        })
-      );
-      if (!getRes.Item) {
-        return res.status(404).json({ error: "Baby not found" });
-      }
+// --- Per-vaccine status, completion and next due date ---
+app.get(
+  "/api/baby/:babyId/status",
+  authenticateToken,
+  authorizeBaby("view"),
+  async (req, res) => {
+    try {
+      const { baby } = req;
+      const now = new Date();
+      const schedule = await loadBabySchedule(db, baby);
+      const { doses, summary } = vaccinationStatus(baby, schedule, { now });
+
+      return res.json({
+        babyId: baby.babyId,
+        scheduleId: scheduleIdOf(baby),
+        catchUpEnabled: !!baby.catch_up,
+        asOf: now.toISOString().split("T")[0],
+        summary,
+        doses
+      });
+    } catch (err) {
+      console.error("Error in GET /api/baby/:babyId/status:", err);
+      return res.status(500).json({ error: "Server error while computing vaccination status" });
+    }
+  }
+);
 
-      // 2) Check ownership
-      if (getRes.Item.motherUserId !== userId) {
-        return res.status(403).json({ error: "Not authorized to modify this baby" });
-      }
+// --- Turn catch-up mode on/off (re-plans reminders) ---
+app.put(
+  "/api/baby/:babyId/catch-up",
+  authenticateToken,
+  authorizeBaby("manage"),
+  validate({ body: catchUpSchema }),
+  async (req, res) => {
+    try {
+      const { babyId } = req.baby;
+      const { enabled } = req.body;
+
+      const updated = await db.babies.update(babyId, { catch_up: enabled || undefined });
+      await syncReminders(db, updated);
+
+      return res.json({ message: `Catch-up mode ${enabled ? "enabled" : "disabled"}` });
+    } catch (err) {
+      console.error("Error in PUT /api/baby/:babyId/catch-up:", err);
+      return res.status(500).json({ error: "Server error while updating catch-up mode" });
+    }
+  }
+);
+
+// --- Mark a vaccine as administered (idempotent) ---
+app.post(
+  "/api/baby/:babyId/administered/mark",
+  authenticateToken,
+  // 1) + 2) Fetch the baby; its mother or a health worker at its clinic may record
+  authorizeBaby("record"),
+  validate({ body: administeredMarkSchema }),
+  async (req, res) => {
+    try {
+      const { baby } = req;
+      const babyId = baby.babyId;
+      const { vaccine, date } = req.body;
 
       // 3) Extract existing list
-      const existingList = Array.isArray(getRes.Item.administered)
-        ? getRes.Item.administered
-        : [];
+      const existingList = administeredList(baby);
 
       // 4) Check if already marked
       const alreadyExists = existingList.some(entry => entry.vaccine === vaccine && entry.date === date);
@@ -832,29 +1063,22 @@ app.post(
         return res.status(200).json({ message: "Already marked as administered" });
       }
 
-      // 5) Build new entry
-      const newEntry = {
-        id: uuidv4(),
-        vaccine,
-        date,
-        markedAt: new Date().toISOString(),
-        type,
-      };
+      // 5) Build new entry and check it against the baby's schedule
+      const newEntry = newAdministered(req.body, req.user);
+      const schedule = await loadBabySchedule(db, baby, { includeRetired: true });
+      const errors = administeredErrors(baby, schedule, newEntry);
+      if (errors.length) {
+        return res.status(400).json({ error: errors.join("; ") });
+      }
 
       // 6) Append atomically
-      await ddb.send(
-        new UpdateCommand({
-          TableName: "babies",
-          Key: { babyId },
-          UpdateExpression: "SET administered = list_append(if_not_exists(administered, :empty), :newEntry)",
-          ExpressionAttributeValues: {
-            ":empty": [],
-            ":newEntry": [newEntry],
-          },
-        })
-      );
+      const updated = await db.babies.appendAdministered(babyId, [newEntry]);
 
-      return res.status(201).json({ message: "Marked administered successfully" });
+      // 7) Re-plan: cancels this dose's pending reminders (and re-spaces
+      //    later catch-up doses)
+      await syncReminders(db, updated);
+
+      return res.status(201).json({ message: "Marked administered successfully", entry: newEntry });
     } catch (err) {
       console.error("Error in /api/baby/:babyId/administered/mark:", err);
       return res.status(500).json({ error: "Server error while marking administered" });
@@ -866,29 +1090,12 @@ app.post(
 app.get(
   "/api/baby/:babyId/administered",
   authenticateToken,
+  authorizeBaby("view"),
   async (req, res) => {
     try {
-      const userId = req.user.userId;
-      const babyId = req.params.babyId;
-
-      const getRes = await ddb.send(
-        new GetCommand({
-          TableName: "babies",
-          Key: { babyId },
-          ProjectionExpression: "administered, motherUserId",
-        })
-      );
-      if (!getRes.Item) {
-        return res.status(404).json({ error: "Baby not found" });
-      }
-      if (getRes.Item.motherUserId !== userId) {
-        return res.status(403).json({ error: "Not authorized" });
-      }
+      const { baby } = req;
 
-      const administeredList = Array.isArray(getRes.Item.administered)
-        ? getRes.Item.administered
-        : [];
-      return res.json({ administered: administeredList });
+      return res.json({ administered: administeredList(baby) });
     } catch (err) {
       console.error("Error in GET /api/baby/:babyId/administered:", err);
       return res.status(500).json({ error: "Server error while fetching administered list" });
@@ -896,133 +1103,287 @@ app.get(
   }
 );
 
-// --- Reminders endpoints (generate & fetch) ---
+// --- Correct an administered entry (history is kept on the entry) ---
+app.patch(
+  "/api/baby/:babyId/administered/:entryId",
+  authenticateToken,
+  authorizeBaby("record"),
+  validate({ body: administeredUpdateSchema }),
+  async (req, res) => {
+    try {
+      const { baby } = req;
 
-// POST: regenerate all reminders for a baby
-app.post(
-  "/api/reminder/:babyId",
+      // 1) Find the entry
+      const list = administeredList(baby);
+      const index = list.findIndex(entry => entry.id === req.params.entryId);
+      if (index === -1) {
+        return res.status(404).json({ error: "Administered entry not found" });
+      }
+
+      // 2) Apply the changes and re-validate against the baby's schedule
+      const updated = editAdministered(list[index], req.body, req.user);
+      if (updated === list[index]) {
+        return res.json({ entry: updated });
+      }
+      const schedule = await loadBabySchedule(db, baby, { includeRetired: true });
+      const errors = administeredErrors(baby, schedule, updated);
+      if (errors.length) {
+        return res.status(400).json({ error: errors.join("; ") });
+      }
+
+      // 3) Save the whole list back
+      list[index] = updated;
+      const saved = await db.babies.update(baby.babyId, { administered: list });
+
+      // 4) A changed vaccine restores the old dose's reminders and cancels
+      //    the new one's; catch-up dates depend on when doses were given
+      if ("vaccine" in req.body || "date" in req.body) {
+        await syncReminders(db, saved);
+      }
+
+      return res.json({ entry: updated });
+    } catch (err) {
+      console.error("Error in PATCH /api/baby/:babyId/administered/:entryId:", err);
+      return res.status(500).json({ error: "Server error while updating administered entry" });
+    }
+  }
+);
+
+// --- Remove a mistaken administered entry ---
+app.delete(
+  "/api/baby/:babyId/administered/:entryId",
   authenticateToken,
+  authorizeBaby("record"),
   async (req, res) => {
     try {
-      const userId = req.user.userId;
-      const babyId = req.params.babyId;
+      const { baby } = req;
 
-      // 1) Fetch baby & verify ownership
-      const { Item: baby } = await ddb.send(new GetCommand({
-        TableName: "babies",
-        Key: { babyId },
-      }));
-      if (!baby) {
-        return res.status(404).json({ error: "Baby not found" });
+      const list = administeredList(baby);
+      const entry = list.find(e => e.id === req.params.entryId);
+      if (!entry) {
+        return res.status(404).json({ error: "Administered entry not found" });
+      }
+
+      const saved = await db.babies.update(baby.babyId, {
+        administered: list.filter(e => e !== entry)
+      });
+
+      // The dose is outstanding again, so its future reminders come back
+      await syncReminders(db, saved);
+
+      return res.json({ message: "Administered entry removed", entry });
+    } catch (err) {
+      console.error("Error in DELETE /api/baby/:babyId/administered/:entryId:", err);
+      return res.status(500).json({ error: "Server error while removing administered entry" });
+    }
+  }
+);
+
+// --- Clinic links (health-worker access) ---
+
+// Mother links her baby to a clinic (or unlinks it with null)
+app.put(
+  "/api/baby/:babyId/clinic",
+  authenticateToken,
+  authorizeBaby("manage"),
+  validate({ body: clinicLinkSchema }),
+  async (req, res) => {
+    try {
+      const { clinicId } = req.body;
+      await db.babies.update(req.baby.babyId, { clinicId: clinicId ?? undefined });
+      return res.json({ babyId: req.baby.babyId, clinicId });
+    } catch (err) {
+      console.error("Error in PUT /api/baby/:babyId/clinic:", err);
+      return res.status(500).json({ error: "Server error while linking clinic" });
+    }
+  }
+);
+
+// Health worker: babies linked to their clinic
+app.get(
+  "/api/clinic/babies",
+  authenticateToken,
+  authorize(ROLES.HEALTH_WORKER),
+  async (req, res) => {
+    try {
+      if (!req.user.clinicId) {
+        return res.status(403).json({ error: "No clinic assigned to this account" });
       }
-      if (baby.motherUserId !== userId) {
-        return res.status(403).json({ error: "Not authorized for this baby" });
+      const babies = await db.babies.listByClinic(req.user.clinicId);
+      return res.json(babies.map(formatBaby));
+    } catch (err) {
+      console.error("Error in GET /api/clinic/babies:", err);
+      return res.status(500).json({ error: "Server error while listing clinic babies" });
+    }
+  }
+);
+
+// --- Sharing with co-caregivers ---
+
+// Owner invites someone by email to view (or also edit) a baby's record
+app.post(
+  "/api/baby/:babyId/shares",
+  limiter.limit("share-invite-ip", AUTH_RATE_LIMITS.shareInviteIp),
+  authenticateToken,
+  authorizeBaby("manage"),
+  validate({ body: shareInviteSchema }),
+  async (req, res) => {
+    try {
+      const baby = req.baby;
+      const { email, permission } = req.body;
+
+      // 1) Sharing with yourself makes no sense
+      if (normalizeEmail(email) === normalizeEmail(req.user.email)) {
+        return res.status(400).json({ error: "You cannot share a baby with yourself" });
       }
 
-      const dob = new Date(baby.dateOfBirth);
-      const now = new Date();
+      // 2) Create (or renew) the invite
+      const { share, token, conflict } = await inviteCaregiver(db, baby, { email, permission });
+      if (conflict) {
+        return res.status(409).json({ error: "This baby is already shared with that email" });
+      }
 
-      // 2) Delete any existing UNSENT reminders for this baby
-      const nowISO = new Date().toISOString();
-      const { Items: existing = [] } = await ddb.send(new QueryCommand({
-        TableName: "reminders",
-        IndexName: "ByBaby", // GSI on (babyId, sent)
-        KeyConditionExpression: "babyId = :b AND sent = :false",
-        FilterExpression: "scheduled_at > :now", // 🔁 Only delete future reminders
-        ExpressionAttributeValues: {
-          ":b": babyId,
-          ":false": "false",
-          ":now": nowISO,
-        },
-      }));
-      const deletes = existing.map((r) => ({
-        DeleteRequest: { Key: { reminderId: r.reminderId } },
-      }));
-      if (deletes.length) {
-        while (deletes.length) {
-          const chunk = deletes.splice(0, 25);
-          await ddb.send(new BatchWriteCommand({
-            RequestItems: { reminders: chunk },
-          }));
-        }
+      // 3) Mail the token to the invitee, in their language if they already
+      //    have an account (else the owner's). An invite that could not be
+      //    mailed is withdrawn, so the owner can simply try again.
+      try {
+        const owner = await db.mothers.get(baby.motherUserId);
+        const invitee = await db.mothers.findByEmail(share.email);
+        await sendTemplate(share.email, "caregiverInvite", localeOf(invitee ?? owner), {
+          inviterName: owner?.full_name || owner?.email || "A Chanjo user",
+          babyName: baby.babyName,
+          permission,
+          token,
+          days: SHARE_INVITE_TTL_DAYS,
+          link: deepLink("/invites/accept", { token })
+        });
+      } catch (err) {
+        await db.babyShares.delete(share.shareId);
+        throw err;
       }
 
-      // 3) Build new reminders with deterministic keys
-      const remindersToInsert = [];
-      const { Items: schedule = [] } = await ddb.send(new ScanCommand({
-        TableName: "vaccination_schedule"
-      }));
-      for (let { age, vaccine } of schedule) {
-        // Compute vaccination date
-        const daysOffset = parseAgeToDays(age);
-        const vaccDate = new Date(dob);
-        vaccDate.setDate(dob.getDate() + daysOffset);
-        if (vaccDate <= now) {
-          continue;
-        }
+      return res.status(201).json(publicShare(share));
+    } catch (err) {
+      console.error("Error in POST /api/baby/:babyId/shares:", err);
+      return res.status(500).json({ error: "Server error while sharing baby" });
+    }
+  }
+);
 
-        // Compute diffDays
-        const msPerDay = 1000 * 60 * 60 * 24;
-        const diffDays = (vaccDate.getTime() - now.getTime()) / msPerDay;
-
-        // Weekly reminder
-        if (diffDays >= 7) {
-          const weeklyRem = new Date(vaccDate);
-          weeklyRem.setDate(vaccDate.getDate() - 7);
-          weeklyRem.setHours(11, 0, 0, 0);
-          if (weeklyRem > now) {
-            const scheduledDateStr = weeklyRem.toISOString().split("T")[0];
-            const vacDateStr = vaccDate.toISOString();
-            const reminderId = `${babyId}#${vaccine}#weekly#${scheduledDateStr}`;
-            remindersToInsert.push({
-              PutRequest: {
-                Item: {
-                  reminderId,
-                  motherId: userId,
-                  babyId,
-                  vaccine,
-                  vaccination_date: vacDateStr,
-                  scheduled_at: weeklyRem.toISOString(),
-                  sent: "false",
-                  type: "weekly",
-                },
-              },
-            });
-          }
-        }
+// Owner lists a baby's invites and co-caregivers
+app.get(
+  "/api/baby/:babyId/shares",
+  authenticateToken,
+  authorizeBaby("manage"),
+  async (req, res) => {
+    try {
+      const shares = await db.babyShares.listByBaby(req.baby.babyId);
+      return res.json(shares.map(publicShare));
+    } catch (err) {
+      console.error("Error in GET /api/baby/:babyId/shares:", err);
+      return res.status(500).json({ error: "Server error while listing shares" });
+    }
+  }
+);
 
-        // Daily reminder
-        const dailyRem = new Date(vaccDate);
-        dailyRem.setDate(vaccDate.getDate() - 1);
-        dailyRem.setHours(11, 0, 0, 0);
-        if (dailyRem > now) {
-          const scheduledDateStr = dailyRem.toISOString().split("T")[0];
-          const vacDateStr = vaccDate.toISOString();
-          const reminderId = `${babyId}#${vaccine}#daily#${scheduledDateStr}`;
-          remindersToInsert.push({
-            PutRequest: {
-              Item: {
-                reminderId,
-                motherId: userId,
-                babyId,
-                vaccine,
-                vaccination_date: vacDateStr,
-                scheduled_at: dailyRem.toISOString(),
-                sent: "false",
-                type: "daily",
-              },
-            },
-          });
-        }
+// Owner changes an invite's or co-caregiver's permission
+app.patch(
+  "/api/baby/:babyId/shares/:shareId",
+  authenticateToken,
+  authorizeBaby("manage"),
+  validate({ body: sharePermissionSchema }),
+  async (req, res) => {
+    try {
+      const share = await db.babyShares.get(req.params.shareId);
+      if (!share || share.babyId !== req.baby.babyId) {
+        return res.status(404).json({ error: "Share not found" });
       }
+      const updated = await db.babyShares.update(share.shareId, { permission: req.body.permission });
+      return res.json(publicShare(updated));
+    } catch (err) {
+      console.error("Error in PATCH /api/baby/:babyId/shares/:shareId:", err);
+      return res.status(500).json({ error: "Server error while updating share" });
+    }
+  }
+);
 
-      // 4) Batch write new reminders
-      while (remindersToInsert.length) {
-        const batch = remindersToInsert.splice(0, 25);
-        await ddb.send(new BatchWriteCommand({
-          RequestItems: { reminders: batch },
-        }));
+// Owner withdraws an invite or a co-caregiver's access
+app.delete(
+  "/api/baby/:babyId/shares/:shareId",
+  authenticateToken,
+  authorizeBaby("manage"),
+  async (req, res) => {
+    try {
+      const share = await db.babyShares.get(req.params.shareId);
+      if (!share || share.babyId !== req.baby.babyId) {
+        return res.status(404).json({ error: "Share not found" });
+      }
+      await db.babyShares.delete(share.shareId);
+      return res.json({ message: "Share removed", shareId: share.shareId });
+    } catch (err) {
+      console.error("Error in DELETE /api/baby/:babyId/shares/:shareId:", err);
+      return res.status(500).json({ error: "Server error while removing share" });
+    }
+  }
+);
+
+// Invitee accepts an invite (logged in with the invited email)
+app.post(
+  "/api/shares/accept",
+  authenticateToken,
+  validate({ body: shareAcceptSchema }),
+  async (req, res) => {
+    try {
+      const { share, error } = await acceptInvite(db, req.body.token, req.user);
+      if (error === "expired") {
+        return res.status(410).json({ error: "This invite has expired; ask for a new one" });
+      }
+      if (error === "mismatch") {
+        return res.status(403).json({ error: "This invite was sent to a different email address" });
+      }
+      if (error === "owner") {
+        return res.status(400).json({ error: "You already own this baby" });
+      }
+      if (error) {
+        return res.status(404).json({ error: "Invite not found or already used" });
       }
+      return res.json({ message: "Invite accepted", babyId: share.babyId, permission: share.permission });
+    } catch (err) {
+      console.error("Error in POST /api/shares/accept:", err);
+      return res.status(500).json({ error: "Server error while accepting invite" });
+    }
+  }
+);
+
+// Co-caregiver: babies shared with me, with my permission on each
+app.get("/api/shared-babies", authenticateToken, async (req, res) => {
+  try {
+    const babies = [];
+    for (const grant of await grantsOf(db, req.user.userId)) {
+      const baby = await db.babies.get(grant.babyId);
+      if (baby) babies.push({ ...formatBaby(baby), permission: grant.permission });
+    }
+    return res.json(babies);
+  } catch (err) {
+    console.error("Error in GET /api/shared-babies:", err);
+    return res.status(500).json({ error: "Server error while listing shared babies" });
+  }
+});
+
+// --- Reminders endpoints (generate & fetch) ---
+
+// POST: regenerate all reminders for a baby
+app.post(
+  "/api/reminder/:babyId",
+  authenticateToken,
+  authorizeBaby("manage"),
+  async (req, res) => {
+    try {
+      // 1) Baby loaded (and ownership checked) by authorizeBaby
+
+      // 2) Re-plan: rewrites future reminders under their deterministic ids
+      //    and removes unsent ones that are no longer part of the plan
+      await syncReminders(db, req.baby);
 
       return res.status(201).json({ message: "Reminders generated successfully" });
     } catch (err) {
@@ -1033,32 +1394,29 @@ app.post(
 );
 
 // GET: fetch existing reminders for a baby
-app.get('/api/reminder/:babyId', authenticateToken, async (req, res) => {
+app.get('/api/reminder/:babyId', authenticateToken, authorizeBaby('view'), async (req, res) => {
   try {
     const { babyId } = req.params;
 
-    // Query the ByBaby GSI for all reminders (sent or not)
-    const { Items } = await ddb.send(new QueryCommand({
-      TableName: 'reminders',
-      IndexName: 'ByBaby',
-      KeyConditionExpression: 'babyId = :b',
-      ExpressionAttributeValues: { ':b': babyId },
-      ProjectionExpression: [
-        'reminderId',
-        'babyId',
-        'vaccine',
-        'vaccination_date',
-        'scheduled_at',
-        'sent',
-        'motherId',
-        '#tp'
-      ].join(', '),
-      ExpressionAttributeNames: {
-        '#tp': 'type'
-      }
-    }));
-
-    return res.json(Items);
+    // All reminders for the baby (sent or not)
+    const reminders = await db.reminders.listByBaby(babyId);
+
+    return res.json(reminders.map(r => ({
+      reminderId: r.reminderId,
+      babyId: r.babyId,
+      vaccine: r.vaccine,
+      vaccination_date: r.vaccination_date,
+      scheduled_at: r.scheduled_at,
+      sent: r.sent,
+      sent_at: r.sent_at ?? null,
+      attempts: r.attempts ?? 0,
+      last_error: r.last_error ?? null,
+      next_attempt_at: r.next_attempt_at ?? null,
+      failure_reason: r.failure_reason ?? null,
+      motherId: r.motherId,
+      type: r.type,
+      offset_days: r.offset_days
+    })));
   } catch (err) {
     console.error('Fetch reminders error:', err);
     return res.status(500).json({ error: 'Server error' });
@@ -1066,12 +1424,25 @@ app.get('/api/reminder/:babyId', authenticateToken, async (req, res) => {
 });
 
 // Vaccination Schedule Routes
-app.get('/api/vaccination-schedule', async (_req, res) => {
+app.get('/api/vaccination-schedules', async (_req, res) => {
   try {
-    const { Items: schedules = [] } = await ddb.send(new ScanCommand({
-      TableName: 'vaccination_schedule'
-    }));
-    schedules.sort((a, b) => a.id - b.id);
+    return res.json(await listSchedules(db));
+  } catch (error) {
+    console.error('Schedule list error:', error);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ?schedule=<id> selects a schedule; the default one otherwise
+app.get('/api/vaccination-schedule', async (req, res) => {
+  try {
+    const scheduleId = req.query.schedule || DEFAULT_SCHEDULE_ID;
+
+    // Structured entries (legacy rows converted), sorted by id
+    const schedules = await loadSchedule(db, scheduleId);
+    if (schedules.length === 0) {
+      return res.status(404).json({ error: `Unknown vaccination schedule: ${scheduleId}` });
+    }
     return res.json(schedules);
   } catch (error) {
     console.error('Schedule error:', error);
@@ -1082,14 +1453,13 @@ app.get('/api/vaccination-schedule', async (_req, res) => {
 app.get('/api/vaccination-schedule/:age', async (req, res) => {
   try {
     const ageParam = req.params.age;
+    const scheduleId = req.query.schedule || DEFAULT_SCHEDULE_ID;
 
-    // Query via the new GSI "AgeIndex"
-    const { Items: schedules = [] } = await ddb.send(new QueryCommand({
-      TableName: 'vaccination_schedule',
-      IndexName: 'AgeIndex',
-      KeyConditionExpression: 'age = :a',
-      ExpressionAttributeValues: { ':a': ageParam },
-    }));
+    // Match on the parsed age ("6 weeks", "6-10 weeks", "Birth"), not the exact label
+    const schedules = entriesForAge(await loadSchedule(db, scheduleId), ageParam);
+    if (!schedules) {
+      return res.status(400).json({ error: `Not an age: ${ageParam}` });
+    }
 
     return res.json(schedules);
   } catch (error) {
@@ -1098,12 +1468,264 @@ app.get('/api/vaccination-schedule/:age', async (req, res) => {
   }
 });
 
+// --- Admin: vaccination schedule management ---
+// Changes are audited; pass ?replan=true to re-plan the unsent reminders of
+// every baby on the schedule straight away. A replan that runs out of time
+// reports how far it got; POST .../replan?after=<nextAfter> carries on.
+const wantsReplan = (req) => req.query.replan === 'true';
+const replanIfWanted = (req, scheduleId) => wantsReplan(req) ? replanSchedule(db, scheduleId) : null;
+
+app.get(
+  "/api/admin/vaccination-schedules/:scheduleId/entries",
+  authenticateToken,
+  authorize(ROLES.ADMIN),
+  async (req, res) => {
+    try {
+      // Retired entries included, so admins can see the full history
+      const entries = await loadSchedule(db, req.params.scheduleId, { includeRetired: true });
+      return res.json(entries);
+    } catch (err) {
+      console.error("Admin schedule list error:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+app.post(
+  "/api/admin/vaccination-schedules/:scheduleId/entries",
+  authenticateToken,
+  authorize(ROLES.ADMIN),
+  validate({ body: scheduleEntryCreateSchema }),
+  async (req, res) => {
+    try {
+      const { scheduleId } = req.params;
+
+      // 1) Validate & save (a new scheduleId starts a new schedule)
+      const { entry, errors } = await createScheduleEntry(db, scheduleId, req.body, { actor: req.user });
+      if (errors) {
+        return res.status(400).json({ error: errors.join('; ') });
+      }
+
+      // 2) Optionally re-plan affected babies
+      const replan = await replanIfWanted(req, scheduleId);
+
+      return res.status(201).json({ entry, replannedBabies: replan?.replanned ?? 0, replan });
+    } catch (err) {
+      console.error("Admin schedule create error:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+app.patch(
+  "/api/admin/vaccination-schedules/:scheduleId/entries/:id",
+  authenticateToken,
+  authorize(ROLES.ADMIN),
+  validate({ body: scheduleEntryUpdateSchema }),
+  async (req, res) => {
+    try {
+      const { scheduleId } = req.params;
+
+      // 1) Find the entry within this schedule
+      const existing = await getScheduleEntry(db, scheduleId, Number(req.params.id));
+      if (!existing) {
+        return res.status(404).json({ error: "Schedule entry not found" });
+      }
+
+      // 2) Validate & save the merged entry
+      const { entry, errors } = await updateScheduleEntry(db, existing, req.body, { actor: req.user });
+      if (errors) {
+        return res.status(400).json({ error: errors.join('; ') });
+      }
+
+      // 3) Optionally re-plan affected babies
+      const replan = await replanIfWanted(req, scheduleId);
+
+      return res.json({ entry, replannedBabies: replan?.replanned ?? 0, replan });
+    } catch (err) {
+      console.error("Admin schedule update error:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Retires (never deletes) the entry
+app.delete(
+  "/api/admin/vaccination-schedules/:scheduleId/entries/:id",
+  authenticateToken,
+  authorize(ROLES.ADMIN),
+  async (req, res) => {
+    try {
+      const { scheduleId } = req.params;
+
+      // 1) Find the entry within this schedule
+      const existing = await getScheduleEntry(db, scheduleId, Number(req.params.id));
+      if (!existing) {
+        return res.status(404).json({ error: "Schedule entry not found" });
+      }
+      if (existing.retired_at) {
+        return res.status(409).json({ error: "Schedule entry is already retired" });
+      }
+
+      // 2) Retire it
+      const entry = await retireScheduleEntry(db, existing, { actor: req.user });
+
+      // 3) Optionally re-plan affected babies (drops reminders for this dose)
+      const replan = await replanIfWanted(req, scheduleId);
+
+      return res.json({ entry, replannedBabies: replan?.replanned ?? 0, replan });
+    } catch (err) {
+      console.error("Admin schedule retire error:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+app.put(
+  "/api/admin/vaccination-schedules/:scheduleId/order",
+  authenticateToken,
+  authorize(ROLES.ADMIN),
+  validate({ body: scheduleOrderSchema }),
+  async (req, res) => {
+    try {
+      const { schedule, errors } = await reorderSchedule(db, req.params.scheduleId, req.body.ids, { actor: req.user });
+      if (errors) {
+        return res.status(400).json({ error: errors.join('; ') });
+      }
+      return res.json(schedule);
+    } catch (err) {
+      console.error("Admin schedule reorder error:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Re-plan the babies on a schedule, resuming after `?after=<babyId>` (the
+// `nextAfter` of a replan that ran out of time)
+app.post(
+  "/api/admin/vaccination-schedules/:scheduleId/replan",
+  authenticateToken,
+  authorize(ROLES.ADMIN),
+  async (req, res) => {
+    try {
+      const after = typeof req.query.after === "string" && req.query.after ? req.query.after : null;
+      return res.json(await replanSchedule(db, req.params.scheduleId, { after }));
+    } catch (err) {
+      console.error("Admin schedule replan error:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+app.get(
+  "/api/admin/vaccination-schedules/:scheduleId/audit",
+  authenticateToken,
+  authorize(ROLES.ADMIN),
+  async (req, res) => {
+    try {
+      return res.json(await db.scheduleAudit.listBySchedule(req.params.scheduleId));
+    } catch (err) {
+      console.error("Admin schedule audit error:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// --- Admin: user roles ---
+// New roles travel in the access token: they take effect at the user's next
+// token refresh (refreshSession re-reads them) or login
+app.put(
+  "/api/admin/users/:userId/roles",
+  authenticateToken,
+  authorize(ROLES.ADMIN),
+  validate({ body: userRolesSchema }),
+  async (req, res) => {
+    try {
+      const { roles, clinicId } = req.body;
+
+      // 1) Ensure the user exists
+      const user = await db.mothers.get(req.params.userId);
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      // 2) Only health workers belong to a clinic
+      const updated = await db.mothers.update(user.userId, {
+        roles,
+        clinic_id: roles.includes(ROLES.HEALTH_WORKER) ? clinicId : undefined
+      });
+
+      return res.json({
+        userId: updated.userId,
+        roles: rolesOf(updated),
+        clinicId: updated.clinic_id ?? null
+      });
+    } catch (err) {
+      console.error("Admin roles error:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// --- Admin: message template previews (QA) ---
+
+// The templates and locales that can be previewed
+app.get(
+  "/api/admin/templates",
+  authenticateToken,
+  authorize(ROLES.ADMIN),
+  (_req, res) => res.json({ templates: TEMPLATE_NAMES, locales: LOCALES, defaultLocale: DEFAULT_LOCALE })
+);
+
+// One template rendered with sample variables: ?locale=en|sw and
+// ?format=json (all variants, the default) | html | text | sms
+app.get(
+  "/api/admin/templates/:name/preview",
+  authenticateToken,
+  authorize(ROLES.ADMIN),
+  (req, res) => {
+    try {
+      const { name } = req.params;
+      const { locale = DEFAULT_LOCALE, format = "json" } = req.query;
+
+      // 1) Validate the template, locale and format
+      if (!TEMPLATE_NAMES.includes(name)) {
+        return res.status(404).json({ error: "Template not found" });
+      }
+      if (!LOCALES.includes(locale)) {
+        return res.status(400).json({ error: `locale must be one of: ${LOCALES.join(", ")}` });
+      }
+
+      // 2) Render it with the sample variables
+      const message = render(name, locale, SAMPLES[name]);
+      switch (format) {
+        case "json":
+          return res.json({ template: name, locale, ...message });
+        case "html":
+          return res.type("html").send(message.html);
+        case "text":
+          return res.type("text").send(`Subject: ${message.subject}\n\n${message.text}`);
+        case "sms":
+          if (!message.sms) {
+            return res.status(404).json({ error: "This template has no SMS variant" });
+          }
+          return res.type("text").send(message.sms);
+        default:
+          return res.status(400).json({ error: "format must be one of: json, html, text, sms" });
+      }
+    } catch (err) {
+      console.error("Template preview error:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
 // --- JSON‐Schema Validation Error Handler ---
 app.use((err, _req, res, next) => {
   if (err instanceof ValidationError) {
     const messages = err.validationErrors.body.map(e => {
       // e.instancePath is like "/babyName" or "" if missingProperty
-      const field = e.instancePath.replace(/^\//, '') || e.params.missingProperty;
+      const field = e.instancePath.replace(/^\//, '') || e.params.missingProperty || 'body';
       return `${field} ${e.message}`;
     });
     return res.status(400).json({ error: messages.join('; ') });
@@ -1113,3 +1735,9 @@ app.use((err, _req, res, next) => {
 
 // Lambda handler (via serverless-http)
 export const handler = serverless(app);
+
+// Running `node server.js` directly (local development) serves the app on PORT.
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = process.env.PORT || 3000;
+  app.listen(port, () => console.log(`Chanjo API listening on http://localhost:${port}`));
+}
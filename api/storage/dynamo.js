@@ -0,0 +1,248 @@
+import {
+  GetCommand,
+  PutCommand,
+  UpdateCommand,
+  DeleteCommand,
+  QueryCommand,
+  ScanCommand,
+  BatchGetCommand,
+  BatchWriteCommand
+} from '@aws-sdk/lib-dynamodb';
+
+/**
+ * Builds "#n0 = :v0 AND #n1 <= :v1"-style expressions from a conditions
+ * object. A condition value is either a plain value (equality), null (the
+ * attribute is absent) or an [operator, value] pair, e.g.
+ * { sent: 'false', scheduled_at: ['<=', now] }. Dotted keys address nested
+ * map attributes, as in buildUpdate().
+ */
+function buildConditions(conditions, names, values, prefix) {
+  return Object.entries(conditions).map(([attr, cond], i) => {
+    const [op, value] = Array.isArray(cond) ? cond : ['=', cond];
+    const n = attr.split('.').map((part, j) => {
+      names[`#${prefix}${i}_${j}`] = part;
+      return `#${prefix}${i}_${j}`;
+    }).join('.');
+    const v = `:${prefix}${i}`;
+    if (value === null) return `attribute_not_exists(${n})`;
+    values[v] = value;
+    return op === 'begins_with' ? `begins_with(${n}, ${v})` : `${n} ${op} ${v}`;
+  }).join(' AND ');
+}
+
+/**
+ * Turns { 'user.hashed_password': 'x', full_name: 'y', stale: undefined }
+ * into a SET/REMOVE UpdateExpression. Dotted keys address nested map
+ * attributes; undefined values remove the attribute.
+ */
+function buildUpdate(fields) {
+  const names = {};
+  const values = {};
+  const sets = [];
+  const removes = [];
+  Object.entries(fields).forEach(([path, value], i) => {
+    const ref = path.split('.').map((part, j) => {
+      const n = `#u${i}_${j}`;
+      names[n] = part;
+      return n;
+    }).join('.');
+    if (value === undefined) {
+      removes.push(ref);
+    } else {
+      values[`:u${i}`] = value;
+      sets.push(`${ref} = :u${i}`);
+    }
+  });
+  const expr = [
+    sets.length ? `SET ${sets.join(', ')}` : '',
+    removes.length ? `REMOVE ${removes.join(', ')}` : ''
+  ].filter(Boolean).join(' ');
+  return { expr, names, values };
+}
+
+/**
+ * Sends BatchWrite requests in chunks of 25, re-sending anything DynamoDB
+ * hands back as unprocessed.
+ */
+async function batchWrite(doc, tableName, requests) {
+  const pending = [...requests];
+  while (pending.length) {
+    let chunk = pending.splice(0, 25);
+    while (chunk.length) {
+      const { UnprocessedItems = {} } = await doc.send(new BatchWriteCommand({
+        RequestItems: { [tableName]: chunk }
+      }));
+      chunk = UnprocessedItems[tableName] || [];
+    }
+  }
+}
+
+/**
+ * Sends BatchGet requests in chunks of 100 keys, re-requesting anything
+ * DynamoDB hands back as unprocessed. Returns the items found.
+ */
+async function batchGet(doc, tableName, keys) {
+  const items = [];
+  const pending = [...keys];
+  while (pending.length) {
+    let chunk = pending.splice(0, 100);
+    while (chunk.length) {
+      const { Responses = {}, UnprocessedKeys = {} } = await doc.send(new BatchGetCommand({
+        RequestItems: { [tableName]: { Keys: chunk } }
+      }));
+      items.push(...(Responses[tableName] || []));
+      chunk = UnprocessedKeys[tableName]?.Keys || [];
+    }
+  }
+  return items;
+}
+
+/**
+ * Generic table backed by a DynamoDBDocumentClient. Every storage backend
+ * exposes this same shape so the repositories stay backend-agnostic.
+ */
+export function createDynamoTable(doc, def) {
+  const TableName = def.name;
+
+  /**
+   * Yields the items of an index query one page at a time (at most
+   * `pageSize` items read per page; the filter may leave fewer), following
+   * LastEvaluatedKey until the last page.
+   */
+  async function* queryPages(indexName, hashValue, { range, filter, pageSize } = {}) {
+    const index = def.indexes[indexName];
+    const names = {};
+    const values = {};
+    const keyConds = { [index.hash]: hashValue };
+    if (range) keyConds[index.range] = range;
+    const KeyConditionExpression = buildConditions(keyConds, names, values, 'k');
+    const FilterExpression = filter && buildConditions(filter, names, values, 'f');
+
+    let ExclusiveStartKey;
+    do {
+      const page = await doc.send(new QueryCommand({
+        TableName,
+        IndexName: indexName,
+        KeyConditionExpression,
+        ...(FilterExpression && { FilterExpression }),
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values,
+        ...(pageSize && { Limit: pageSize }),
+        ExclusiveStartKey
+      }));
+      yield page.Items || [];
+      ExclusiveStartKey = page.LastEvaluatedKey;
+    } while (ExclusiveStartKey);
+  }
+
+  return {
+    async get(key) {
+      const { Item } = await doc.send(new GetCommand({ TableName, Key: { [def.key]: key } }));
+      return Item || null;
+    },
+
+    /**
+     * The items with any of `keys` (duplicates ignored), in no particular order.
+     */
+    async getMany(keys) {
+      return batchGet(doc, TableName, [...new Set(keys)].map(key => ({ [def.key]: key })));
+    },
+
+    async put(item) {
+      await doc.send(new PutCommand({ TableName, Item: item }));
+      return item;
+    },
+
+    /**
+     * Sets `fields` (see buildUpdate). With `when`, the item must exist and
+     * match those conditions; if it does not, nothing is written and null
+     * is returned.
+     */
+    async update(key, fields, { when } = {}) {
+      const { expr, names, values } = buildUpdate(fields);
+      const ConditionExpression = when && [
+        'attribute_exists(#key)',
+        buildConditions(when, names, values, 'c')
+      ].filter(Boolean).join(' AND ');
+      try {
+        const { Attributes } = await doc.send(new UpdateCommand({
+          TableName,
+          Key: { [def.key]: key },
+          UpdateExpression: expr,
+          ...(ConditionExpression && { ConditionExpression }),
+          ExpressionAttributeNames: { ...names, ...(when && { '#key': def.key }) },
+          ...(Object.keys(values).length && { ExpressionAttributeValues: values }),
+          ReturnValues: 'ALL_NEW'
+        }));
+        return Attributes;
+      } catch (err) {
+        if (when && err.name === 'ConditionalCheckFailedException') return null;
+        throw err;
+      }
+    },
+
+    /**
+     * Atomically adds `amount` to the number `attr` (starting from 0) and
+     * sets `fields` as update() does. Returns the updated item.
+     */
+    async increment(key, attr, amount = 1, fields = {}) {
+      const { expr, names, values } = buildUpdate(fields);
+      const { Attributes } = await doc.send(new UpdateCommand({
+        TableName,
+        Key: { [def.key]: key },
+        UpdateExpression: `ADD #inc :inc ${expr}`.trim(),
+        ExpressionAttributeNames: { ...names, '#inc': attr },
+        ExpressionAttributeValues: { ...values, ':inc': amount },
+        ReturnValues: 'ALL_NEW'
+      }));
+      return Attributes;
+    },
+
+    async append(key, attr, entries) {
+      const { Attributes } = await doc.send(new UpdateCommand({
+        TableName,
+        Key: { [def.key]: key },
+        UpdateExpression: 'SET #a = list_append(if_not_exists(#a, :empty), :entries)',
+        ExpressionAttributeNames: { '#a': attr },
+        ExpressionAttributeValues: { ':empty': [], ':entries': entries },
+        ReturnValues: 'ALL_NEW'
+      }));
+      return Attributes;
+    },
+
+    async delete(key) {
+      await doc.send(new DeleteCommand({ TableName, Key: { [def.key]: key } }));
+    },
+
+    async query(indexName, hashValue, options) {
+      const items = [];
+      for await (const page of queryPages(indexName, hashValue, options)) {
+        items.push(...page);
+      }
+      return items;
+    },
+
+    queryPages,
+
+    async scan() {
+      const items = [];
+      let ExclusiveStartKey;
+      do {
+        const page = await doc.send(new ScanCommand({ TableName, ExclusiveStartKey }));
+        items.push(...(page.Items || []));
+        ExclusiveStartKey = page.LastEvaluatedKey;
+      } while (ExclusiveStartKey);
+      return items;
+    },
+
+    async putMany(items) {
+      await batchWrite(doc, TableName, items.map(Item => ({ PutRequest: { Item } })));
+    },
+
+    async deleteMany(keys) {
+      await batchWrite(doc, TableName, keys.map(key => ({
+        DeleteRequest: { Key: { [def.key]: key } }
+      })));
+    }
+  };
+}
@@ -0,0 +1,62 @@
+/**
+ * Helpers shared by the locale files: HTML escaping, dates in the reader's
+ * language and deep links into the app.
+ */
+
+// Base URL of the web app that deep links point into
+export const APP_URL = (process.env.APP_URL || process.env.ALLOWED_ORIGIN || 'http://localhost:5173')
+  .replace(/\/+$/, '');
+
+/**
+ * Absolute app URL for `path`, with `params` as its query string.
+ */
+export function deepLink(path, params = {}) {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value != null)
+  ).toString();
+  return `${APP_URL}${path}${query ? `?${query}` : ''}`;
+}
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const interpolate = (value) =>
+  value instanceof SafeHtml ? value.value
+    : Array.isArray(value) ? value.map(interpolate).join('')
+      : value === false || value == null ? ''
+        : escapeHtml(value);
+
+/**
+ * Tagged template for HTML bodies: interpolated values are escaped unless
+ * they come from another html`` template (so fragments nest).
+ */
+export function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((out, part, i) => out + part + (i < values.length ? interpolate(values[i]) : ''), ''));
+}
+
+/**
+ * A (vaccination) date as a full date in `locale`, e.g. "Wednesday,
+ * 4 June 2025" / "Jumatano, 4 Juni 2025". Dates are whole UTC days.
+ */
+export function formatDate(date, locale) {
+  return new Intl.DateTimeFormat(locale === 'sw' ? 'sw-KE' : 'en-GB', {
+    dateStyle: 'full',
+    timeZone: 'UTC'
+  }).format(new Date(date));
+}
@@ -0,0 +1,62 @@
+/**
+ * Message templates, one file per locale (en.js, sw.js). A template turns
+ * its variables into { subject, text, html } and, for messages that can go
+ * by SMS, `sms`. Locales missing a template fall back to English.
+ *
+ * This folder is shared with the cron package: cron/templates/ is a copy
+ * and must be kept identical.
+ */
+import en from './en.js';
+import sw from './sw.js';
+import { deepLink } from './helpers.js';
+
+export { APP_URL, deepLink, formatDate } from './helpers.js';
+
+export const LOCALES = ['en', 'sw'];
+export const DEFAULT_LOCALE = 'en';
+export const TEMPLATE_NAMES = Object.keys(en);
+
+const TEMPLATES = { en, sw };
+
+/**
+ * The language a user (mothers item) reads their messages in.
+ */
+export function localeOf(user) {
+  return LOCALES.includes(user?.locale) ? user.locale : DEFAULT_LOCALE;
+}
+
+/**
+ * Renders template `name` in `locale`: { subject, text, html, sms? }.
+ * Throws on an unknown template name.
+ */
+export function render(name, locale, vars = {}) {
+  const template = TEMPLATES[locale]?.[name] ?? en[name];
+  if (!template) throw new Error(`Unknown message template "${name}"`);
+  const { subject, text, html, sms } = template(vars);
+  return { subject, text, html: String(html).trim(), ...(sms ? { sms } : {}) };
+}
+
+// Example variables for each template, used by the preview endpoint
+export const SAMPLES = {
+  reminder: {
+    name: 'Jane Doe',
+    babyName: 'Amani',
+    vaccines: ['OPV 1', 'Pentavalent 1', 'PCV 1'],
+    date: '2025-06-04',
+    leadDays: 1,
+    link: deepLink('/babies/sample-baby')
+  },
+  temporaryPassword: { password: 'Xy7#kP2q', minutes: 15, link: deepLink('/login') },
+  accountExists: { link: deepLink('/login') },
+  passwordResetCode: { code: '123456', minutes: 15, link: deepLink('/forgot-password', { email: 'jane@example.com' }) },
+  passwordChanged: { link: deepLink('/forgot-password') },
+  accountDeleted: {},
+  caregiverInvite: {
+    inviterName: 'Jane Doe',
+    babyName: 'Amani',
+    permission: 'edit',
+    token: 'sample-share.0123456789abcdef',
+    days: 7,
+    link: deepLink('/invites/accept', { token: 'sample-share.0123456789abcdef' })
+  }
+};
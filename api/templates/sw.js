@@ -0,0 +1,199 @@
+/**
+ * Swahili messages, mirroring en.js template for template.
+ */
+import { formatDate, html } from './helpers.js';
+
+const SIGN_OFF = 'Chanjo Chonjo';
+
+// "leo", "kesho", "baada ya siku 3", ...
+function describeLead(days) {
+  if (days === 0) return 'leo';
+  if (days === 1) return 'kesho';
+  return `baada ya siku ${days}`;
+}
+
+const greeting = (name) => (name ? `Mpendwa ${name},` : 'Habari,');
+
+export default {
+  reminder({ name, babyName, vaccines, date, leadDays, link }) {
+    const baby = babyName || 'Mtoto wako';
+    const when = `${describeLead(leadDays)} (${formatDate(date, 'sw')})`;
+    return {
+      subject: `Chanjo za ${babyName || 'mtoto wako'} zinahitajika ${describeLead(leadDays)}`,
+      text: [
+        greeting(name),
+        '',
+        `${baby} anatakiwa kupata chanjo zifuatazo ${when}:`,
+        '',
+        ...vaccines.map(v => `  • ${v}`),
+        '',
+        `Angalia ratiba kamili: ${link}`,
+        '',
+        'Wako,',
+        SIGN_OFF
+      ].join('\n'),
+      html: html`
+        <p>${greeting(name)}</p>
+        <p>${baby} anatakiwa kupata chanjo zifuatazo ${when}:</p>
+        <ul>${vaccines.map(v => html`<li>${v}</li>`)}</ul>
+        <p><a href="${link}">Angalia ratiba kamili ya ${babyName || 'mtoto wako'}</a></p>
+        <p>Wako,<br/>${SIGN_OFF}</p>
+      `,
+      sms: `Chanjo: ${baby} anatakiwa kupata chanjo ${when}: ${vaccines.join(', ')}. ${link}`
+    };
+  },
+
+  temporaryPassword({ password, minutes, link }) {
+    return {
+      subject: 'Nenosiri lako la muda',
+      text: [
+        'Habari,',
+        '',
+        `Karibu Chanjo! Hili ndilo nenosiri lako la muda: ${password}`,
+        '',
+        `Tafadhali ingia kupitia ${link} na ubadilishe nenosiri ndani ya dakika ${minutes}.`,
+        '',
+        'Wako,',
+        SIGN_OFF
+      ].join('\n'),
+      html: html`
+        <p>Habari,</p>
+        <p>Karibu Chanjo! Hili ndilo nenosiri lako la muda:</p>
+        <p><strong>${password}</strong></p>
+        <p>Tafadhali <a href="${link}">ingia</a> na ubadilishe nenosiri ndani ya dakika ${minutes}.</p>
+        <p>Wako,<br/>${SIGN_OFF}</p>
+      `
+    };
+  },
+
+  accountExists({ link }) {
+    return {
+      subject: 'Tayari una akaunti ya Chanjo',
+      text: [
+        'Habari,',
+        '',
+        'Mtu (tunatumaini ni wewe) alijaribu kujisajili Chanjo kwa barua pepe hii, lakini tayari una akaunti.',
+        '',
+        `Ingia tu kupitia ${link}. Ikiwa umesahau nenosiri, tumia "Umesahau nenosiri" kwenye ukurasa wa kuingia ili upate msimbo wa kulibadilisha.`,
+        '',
+        'Ikiwa si wewe, unaweza kupuuza barua pepe hii.',
+        '',
+        'Wako,',
+        SIGN_OFF
+      ].join('\n'),
+      html: html`
+        <p>Habari,</p>
+        <p>Mtu (tunatumaini ni wewe) alijaribu kujisajili Chanjo kwa barua pepe hii,
+           lakini tayari una akaunti.</p>
+        <p><a href="${link}">Ingia</a> tu. Ikiwa umesahau nenosiri, tumia "Umesahau nenosiri"
+           kwenye ukurasa wa kuingia ili upate msimbo wa kulibadilisha.</p>
+        <p>Ikiwa si wewe, unaweza kupuuza barua pepe hii.</p>
+        <p>Wako,<br/>${SIGN_OFF}</p>
+      `
+    };
+  },
+
+  passwordResetCode({ code, minutes, link }) {
+    return {
+      subject: 'Msimbo wako wa kubadilisha nenosiri',
+      text: [
+        'Habari,',
+        '',
+        `Tumia msimbo huu kuchagua nenosiri jipya: ${code}`,
+        '',
+        `Uweke kupitia ${link}. Unaisha baada ya dakika ${minutes} na unaweza kutumika mara moja tu.`,
+        'Ikiwa hukuomba kubadilisha nenosiri, unaweza kupuuza barua pepe hii.',
+        '',
+        'Wako,',
+        SIGN_OFF
+      ].join('\n'),
+      html: html`
+        <p>Habari,</p>
+        <p>Tumia msimbo huu <a href="${link}">kuchagua nenosiri jipya</a>:</p>
+        <p><strong>${code}</strong></p>
+        <p>Unaisha baada ya dakika ${minutes} na unaweza kutumika mara moja tu.
+           Ikiwa hukuomba kubadilisha nenosiri, unaweza kupuuza barua pepe hii.</p>
+        <p>Wako,<br/>${SIGN_OFF}</p>
+      `
+    };
+  },
+
+  passwordChanged({ link }) {
+    return {
+      subject: 'Nenosiri lako limebadilishwa',
+      text: [
+        'Habari,',
+        '',
+        'Tunathibitisha kwamba nenosiri lako limebadilishwa.',
+        `Ikiwa si wewe uliyelibadilisha, tafadhali libadilishe kupitia ${link} na uwasiliane nasi mara moja.`,
+        '',
+        'Wako,',
+        SIGN_OFF
+      ].join('\n'),
+      html: html`
+        <p>Habari,</p>
+        <p>Tunathibitisha kwamba nenosiri lako limebadilishwa.</p>
+        <p>Ikiwa si wewe uliyelibadilisha, tafadhali <a href="${link}">libadilishe</a>
+           na uwasiliane nasi mara moja.</p>
+        <p>Wako,<br/>${SIGN_OFF}</p>
+      `
+    };
+  },
+
+  accountDeleted() {
+    return {
+      subject: 'Akaunti yako ya Chanjo imefutwa',
+      text: [
+        'Habari,',
+        '',
+        'Kama ulivyoomba, akaunti yako ya Chanjo imefutwa, pamoja na taarifa za watoto wako, rekodi za chanjo na vikumbusho.',
+        '',
+        'Hutapokea vikumbusho zaidi kutoka kwetu. Ikiwa hukuomba hili, tafadhali wasiliana nasi.',
+        '',
+        'Wako,',
+        SIGN_OFF
+      ].join('\n'),
+      html: html`
+        <p>Habari,</p>
+        <p>Kama ulivyoomba, akaunti yako ya Chanjo imefutwa, pamoja na taarifa za
+           watoto wako, rekodi za chanjo na vikumbusho.</p>
+        <p>Hutapokea vikumbusho zaidi kutoka kwetu. Ikiwa hukuomba hili, tafadhali
+           wasiliana nasi.</p>
+        <p>Wako,<br/>${SIGN_OFF}</p>
+      `
+    };
+  },
+
+  caregiverInvite({ inviterName, babyName, permission, token, days, link }) {
+    const follow = permission === 'edit'
+      ? `kufuatilia chanjo za ${babyName} kwenye Chanjo na kurekodi zile alizopewa`
+      : `kufuatilia chanjo za ${babyName} kwenye Chanjo`;
+    return {
+      subject: `${inviterName} amekushirikisha chanjo za ${babyName}`,
+      text: [
+        'Habari,',
+        '',
+        `${inviterName} amekualika ${follow}. Pia utapokea vikumbusho vya chanjo za ${babyName}.`,
+        '',
+        `Kubali mwaliko kupitia ${link} baada ya kuingia (au kujisajili) kwa barua pepe hii,`,
+        `au weka msimbo huu kwenye programu: ${token}`,
+        '',
+        `Mwaliko unaisha baada ya siku ${days}. Ikiwa humjui ${inviterName}, unaweza kupuuza barua pepe hii.`,
+        '',
+        'Wako,',
+        SIGN_OFF
+      ].join('\n'),
+      html: html`
+        <p>Habari,</p>
+        <p>${inviterName} amekualika ${follow}. Pia utapokea vikumbusho vya
+           chanjo za ${babyName}.</p>
+        <p>Ingia (au jisajili) kwa barua pepe hii na
+           <a href="${link}">ukubali mwaliko</a>, au weka msimbo huu kwenye programu:</p>
+        <p><strong>${token}</strong></p>
+        <p>Mwaliko unaisha baada ya siku ${days}. Ikiwa humjui ${inviterName},
+           unaweza kupuuza barua pepe hii.</p>
+        <p>Wako,<br/>${SIGN_OFF}</p>
+      `
+    };
+  }
+};
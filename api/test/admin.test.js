@@ -0,0 +1,40 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { replanSchedule } from '../reminders/admin.js';
+import { babyBorn, memoryDb } from './helpers.js';
+
+test('replanSchedule pages through babies without skipping or repeating any', async () => {
+  const db = await memoryDb();
+  await db.mothers.create({ userId: 'mother-1', email: 'jane@example.com' });
+  // Ids whose code-unit and locale orders differ
+  const ids = ['b', 'B', 'a', 'A', '_x', 'Z1', 'z2'];
+  for (const babyId of ids) {
+    await db.babies.create(babyBorn('2025-12-01', { babyId, scheduleId: 'KEPI-2024' }));
+  }
+
+  // Which babies get re-planned, in order
+  const replanned = [];
+  const putMany = db.reminders.putMany;
+  db.reminders.putMany = (items) => {
+    if (items.length) replanned.push(items[0].babyId);
+    return putMany(items);
+  };
+
+  // Every clock read moves a second on: a 2.5 s budget covers two babies
+  let clock = Date.parse('2026-01-01T00:00:00Z');
+  mock.method(Date, 'now', () => (clock += 1000));
+  try {
+    let result = { nextAfter: null };
+    let calls = 0;
+    do {
+      result = await replanSchedule(db, 'KEPI-2024', { after: result.nextAfter, budgetMs: 2500 });
+      calls++;
+    } while (result.remaining && calls < ids.length);
+
+    assert.equal(result.remaining, 0);
+    assert.equal(calls, 4);
+  } finally {
+    mock.restoreAll();
+  }
+  assert.deepEqual(replanned, ['A', 'B', 'Z1', '_x', 'a', 'b', 'z2']);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planCatchUp } from '../reminders/catchup.js';
+import { SCHEDULE, babyBorn } from './helpers.js';
+
+const toDay = (d) => d && d.toISOString().split('T')[0];
+const now = new Date('2026-01-10T08:00:00Z');
+
+test('orders the plan by date, undated doses last', () => {
+  const plan = planCatchUp(babyBorn('2025-06-01'), SCHEDULE, { now });
+  const dates = plan.map(p => p.date);
+  const firstUndated = dates.indexOf(null);
+  assert.ok(firstUndated > 0);
+  assert.ok(dates.slice(firstUndated).every(d => d === null));
+  const dated = dates.slice(0, firstUndated);
+  assert.deepEqual(dated, [...dated].sort((a, b) => a - b));
+});
+
+test('spaces overdue doses of a series by their minimum interval', () => {
+  const plan = planCatchUp(babyBorn('2025-06-01'), SCHEDULE, { now });
+  const of = (vaccine) => plan.find(p => p.vaccine === vaccine);
+
+  // Overdue doses start two days out, later doses follow 28 days apart
+  assert.equal(toDay(of('bOPV 1').date), '2026-01-12');
+  assert.equal(toDay(of('bOPV 2').date), '2026-02-09');
+  assert.equal(toDay(of('bOPV 3').date), '2026-03-09');
+  assert.equal(of('bOPV 1').reason, 'overdue');
+
+  // The birth dose of bOPV can no longer be given after 14 days
+  assert.equal(of('bOPV 0').date, null);
+  assert.equal(of('bOPV 0').reason, 'past-latest-age');
+});
+
+test('counts the interval from the last dose actually given', () => {
+  const baby = babyBorn('2025-06-01', {
+    administered: [{ vaccine: 'bOPV 1', date: '2026-01-05' }]
+  });
+  const plan = planCatchUp(baby, SCHEDULE, { now });
+  assert.equal(plan.some(p => p.vaccine === 'bOPV 1'), false);
+  assert.equal(toDay(plan.find(p => p.vaccine === 'bOPV 2').date), '2026-02-02');
+});
+
+test('keeps undated doses in schedule order', () => {
+  // Two years old: both Rotavirus doses and the birth bOPV are past their latest age
+  const plan = planCatchUp(babyBorn('2024-01-01'), SCHEDULE, { now });
+  const undated = plan.filter(p => p.date === null).map(p => p.vaccine);
+  assert.deepEqual(undated, ['bOPV 0', 'Rotavirus 1', 'Rotavirus 2']);
+  assert.deepEqual(plan.slice(-undated.length).map(p => p.vaccine), undated);
+});
@@ -0,0 +1,34 @@
+/**
+ * Shared fixtures for the tests: an in-memory database seeded with the
+ * default schedule, and babies born on a given day.
+ */
+import { TABLES } from '../storage/tables.js';
+import { createMemoryStore } from '../storage/memory.js';
+import { createRepositories } from '../storage/repositories.js';
+import { SCHEDULE_SEED } from '../storage/seed.js';
+
+export const SCHEDULE = SCHEDULE_SEED;
+
+/**
+ * Repositories over a fresh in-memory store (no file).
+ */
+export async function memoryDb() {
+  const store = createMemoryStore();
+  const db = createRepositories(name => store.table(TABLES[name]));
+  await db.schedule.putMany(SCHEDULE_SEED);
+  return db;
+}
+
+/**
+ * A baby item born on `dateOfBirth` (YYYY-MM-DD).
+ */
+export function babyBorn(dateOfBirth, fields = {}) {
+  return {
+    babyId: 'baby-1',
+    motherUserId: 'mother-1',
+    babyName: 'Amani Doe',
+    gender: 'Female',
+    dateOfBirth: `${dateOfBirth}T00:00:00.000Z`,
+    ...fields
+  };
+}
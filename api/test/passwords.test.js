@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { issueResetCode, verifyResetCode } from '../auth/passwords.js';
+import { memoryDb } from './helpers.js';
+
+async function motherWithCode() {
+  const db = await memoryDb();
+  await db.mothers.create({ userId: 'mother-1', email: 'jane@example.com', user: {} });
+  const { code } = await issueResetCode(db, await db.mothers.get('mother-1'));
+  return { db, code, wrong: code === '000000' ? '111111' : '000000' };
+}
+
+test('verifyResetCode accepts the mailed code', async () => {
+  const { db, code, wrong } = await motherWithCode();
+  assert.equal(await verifyResetCode(db, await db.mothers.get('mother-1'), wrong), false);
+  assert.equal(await verifyResetCode(db, await db.mothers.get('mother-1'), code), true);
+});
+
+test('parallel guesses cannot go past the attempt limit', async () => {
+  const { db, code, wrong } = await motherWithCode();
+  // Every guess starts from the same snapshot, as parallel requests would
+  const mother = await db.mothers.get('mother-1');
+  const results = await Promise.all(Array.from({ length: 12 }, () => verifyResetCode(db, mother, wrong)));
+
+  assert.ok(results.every(ok => ok === false));
+  assert.equal((await db.mothers.get('mother-1')).user.password_reset.attempts, 5);
+  assert.equal(await verifyResetCode(db, await db.mothers.get('mother-1'), code), false);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planReminders, reminderId, syncReminders } from '../reminders/planner.js';
+import { SCHEDULE, babyBorn, memoryDb } from './helpers.js';
+
+const byId = (reminders, id) => reminders.find(r => r.reminderId === id);
+
+test('plans each lead time at the reminder hour, in the future only', () => {
+  const baby = babyBorn('2026-01-01');
+  const reminders = planReminders(baby, SCHEDULE, { now: new Date('2026-01-01T00:00:00Z') });
+
+  // Birth doses were due on the day of birth: nothing left to remind
+  assert.equal(reminders.some(r => r.vaccine === 'BCG'), false);
+
+  // bOPV 1 is due at 6 weeks (2026-02-12); 14:00 in Nairobi is 11:00 UTC
+  const weekBefore = byId(reminders, 'baby-1#bOPV 1#7d#2026-02-05');
+  assert.equal(weekBefore.scheduled_at, '2026-02-05T11:00:00.000Z');
+  assert.equal(weekBefore.due_at, weekBefore.scheduled_at);
+  assert.equal(weekBefore.vaccination_date, '2026-02-12T00:00:00.000Z');
+  assert.equal(weekBefore.sent, 'false');
+  assert.ok(byId(reminders, 'baby-1#bOPV 1#1d#2026-02-11'));
+});
+
+test('re-planning yields the same reminder ids', () => {
+  const baby = babyBorn('2026-01-01');
+  const now = new Date('2026-01-10T00:00:00Z');
+  const ids = (list) => list.map(r => r.reminderId).sort();
+  assert.deepEqual(ids(planReminders(baby, SCHEDULE, { now })), ids(planReminders(baby, SCHEDULE, { now })));
+  assert.equal(reminderId('b', 'IPV', 7, new Date('2026-04-02T00:00:00Z')), 'b#IPV#7d#2026-04-02');
+});
+
+test('syncReminders stores the plan and drops reminders of administered doses', async () => {
+  const db = await memoryDb();
+  const baby = babyBorn('2026-01-01');
+  const now = new Date('2026-01-20T00:00:00Z');
+  await syncReminders(db, baby, { now, mother: { userId: 'mother-1' } });
+  assert.ok((await db.reminders.listByBaby('baby-1')).some(r => r.vaccine === 'bOPV 1'));
+
+  const given = { ...baby, administered: [{ vaccine: 'bOPV 1', date: '2026-01-20' }] };
+  await syncReminders(db, given, { now, mother: { userId: 'mother-1' } });
+  const stored = await db.reminders.listByBaby('baby-1');
+  assert.equal(stored.some(r => r.vaccine === 'bOPV 1'), false);
+  assert.ok(stored.some(r => r.vaccine === 'DPT-HepB-Hib 1'));
+});
+
+test('re-planning after a send never puts the sent reminder back', async () => {
+  const db = await memoryDb();
+  const baby = babyBorn('2026-01-01');
+  await syncReminders(db, baby, {
+    now: new Date('2026-01-20T00:00:00Z'),
+    mother: { userId: 'mother-1', reminder_hour: 12 }
+  });
+
+  // Today's 12:00 reminder (09:00 UTC) went out...
+  const id = 'baby-1#bOPV 1#7d#2026-02-05';
+  await db.reminders.update(id, { sent: 'true', sent_at: '2026-02-05T09:00:00.000Z', due_at: undefined });
+
+  // ...then she moves her reminders to 23:00 the same day
+  await syncReminders(db, baby, {
+    now: new Date('2026-02-05T10:00:00Z'),
+    mother: { userId: 'mother-1', reminder_hour: 23 }
+  });
+
+  const stored = await db.reminders.listByBaby('baby-1');
+  const sent = byId(stored, id);
+  assert.equal(sent.sent, 'true');
+  assert.equal(sent.scheduled_at, '2026-02-05T09:00:00.000Z');
+  assert.equal(sent.due_at, undefined);
+
+  // Reminders not sent yet do move to the new hour
+  const sibling = byId(stored, 'baby-1#PCV10 1#7d#2026-02-05');
+  assert.equal(sibling.sent, 'false');
+  assert.equal(sibling.scheduled_at, '2026-02-05T20:00:00.000Z');
+});
@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scheduleEntryErrors } from '../reminders/schedule.js';
+import { SCHEDULE } from './helpers.js';
+
+test('scheduleEntryErrors names each problem once', () => {
+  const { series, ...missingSeries } = SCHEDULE[0];
+  assert.deepEqual(scheduleEntryErrors(missingSeries), ["entry must have required property 'series'"]);
+  assert.deepEqual(scheduleEntryErrors({ ...SCHEDULE[0], extra: 1, dose: 'one' }), [
+    'entry must NOT have additional properties (extra)',
+    'dose must be integer'
+  ]);
+  assert.deepEqual(scheduleEntryErrors({ ...SCHEDULE[0], earliest_age_days: 5 }), [
+    'earliest_age_days must be <= recommended_age_days'
+  ]);
+  assert.deepEqual(scheduleEntryErrors(SCHEDULE[0]), []);
+});
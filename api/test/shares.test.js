@@ -0,0 +1,49 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { babyBorn } from './helpers.js';
+
+// The API on the in-memory store, with an SMTP server nobody listens on so
+// every email fails; set before server.js loads
+process.env.DB_DRIVER = 'memory';
+delete process.env.DB_FILE;
+process.env.NOTIFY_PROVIDER = 'smtp';
+process.env.SMTP_HOST = '127.0.0.1';
+process.env.SMTP_PORT = '9';
+process.env.JWT_SECRET = 'test-secret';
+
+let server;
+let baseUrl;
+let db;
+let token;
+
+before(async () => {
+  const { app } = await import('../server.js');
+  const { startSession } = await import('../auth/sessions.js');
+  db = global.db;
+
+  const mother = { userId: 'mother-1', email: 'jane@example.com', user: {} };
+  await db.mothers.create(mother);
+  ({ accessToken: token } = await startSession(db, mother));
+  await db.babies.create(babyBorn('2026-01-01'));
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server?.close());
+
+test('POST /api/baby/:babyId/shares withdraws an invite that could not be mailed', async () => {
+  const invite = () => fetch(`${baseUrl}/api/baby/baby-1/shares`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: 'dad@example.com', permission: 'view' })
+  });
+
+  assert.equal((await invite()).status, 500);
+  assert.deepEqual(await db.babyShares.listByBaby('baby-1'), []);
+
+  // Trying again fails the same way, not with a conflict
+  assert.equal((await invite()).status, 500);
+  assert.deepEqual(await db.babyShares.listByBaby('baby-1'), []);
+});
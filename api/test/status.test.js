@@ -0,0 +1,81 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { babyBorn } from './helpers.js';
+
+// The API on the in-memory store, mail captured; set before server.js loads
+process.env.DB_DRIVER = 'memory';
+delete process.env.DB_FILE;
+process.env.NOTIFY_PROVIDER = 'capture';
+process.env.JWT_SECRET = 'test-secret';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * MS_PER_DAY).toISOString().split('T')[0];
+const daysFrom = (date, days) => new Date(Date.parse(date) + days * MS_PER_DAY).toISOString().split('T')[0];
+
+let server;
+let baseUrl;
+let db;
+let token;
+let otherToken;
+
+before(async () => {
+  const { app } = await import('../server.js');
+  const { startSession } = await import('../auth/sessions.js');
+  db = global.db;
+
+  const mother = { userId: 'mother-1', email: 'jane@example.com', user: {} };
+  const other = { userId: 'mother-2', email: 'other@example.com', user: {} };
+  await db.mothers.create(mother);
+  await db.mothers.create(other);
+  ({ accessToken: token } = await startSession(db, mother));
+  ({ accessToken: otherToken } = await startSession(db, other));
+
+  // 65 days old: BCG given, birth bOPV too late, 6-week doses overdue,
+  // 10-week doses due in 5 days
+  await db.babies.create(babyBorn(daysAgo(65), {
+    administered: [{ id: 'a1', vaccine: 'BCG', date: daysAgo(64) }]
+  }));
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server?.close());
+
+const getStatus = (babyId, accessToken) => fetch(`${baseUrl}/api/baby/${babyId}/status`, {
+  headers: { Authorization: `Bearer ${accessToken}` }
+});
+
+test('GET /api/baby/:babyId/status reports each dose and a summary', async () => {
+  const res = await getStatus('baby-1', token);
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  const status = (vaccine) => body.doses.find(d => d.vaccine === vaccine).status;
+
+  assert.equal(body.babyId, 'baby-1');
+  assert.equal(body.scheduleId, 'KEPI-2024');
+  assert.equal(status('BCG'), 'completed');
+  assert.equal(status('bOPV 0'), 'not_applicable');
+  assert.equal(status('bOPV 1'), 'overdue');
+  assert.equal(status('bOPV 2'), 'due_soon');
+  assert.equal(status('Measles-Rubella 1'), 'upcoming');
+
+  const { summary } = body;
+  assert.equal(summary.total, 18);
+  assert.equal(summary.completed, 1);
+  assert.equal(summary.notApplicable, 1);
+  assert.equal(summary.overdue, 4);
+  assert.equal(summary.dueSoon, 4);
+  assert.deepEqual(summary.nextDue, {
+    date: daysFrom(daysAgo(65), 70),
+    vaccines: ['bOPV 2', 'DPT-HepB-Hib 2', 'PCV10 2', 'Rotavirus 2']
+  });
+});
+
+test('GET /api/baby/:babyId/status is refused to other users', async () => {
+  assert.equal((await getStatus('baby-1', otherToken)).status, 403);
+  assert.equal((await getStatus('no-such-baby', token)).status, 404);
+  const res = await fetch(`${baseUrl}/api/baby/baby-1/status`);
+  assert.equal(res.status, 401);
+});
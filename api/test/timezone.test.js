@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isValidTimeZone, zonedTimeToUtc } from '../reminders/timezone.js';
+import { planReminders } from '../reminders/planner.js';
+import { SCHEDULE, babyBorn } from './helpers.js';
+
+const day = (iso) => new Date(`${iso}T00:00:00Z`);
+
+test('zonedTimeToUtc reads the hour on the local wall clock', () => {
+  assert.equal(zonedTimeToUtc(day('2026-02-05'), 14, 'Africa/Nairobi').toISOString(), '2026-02-05T11:00:00.000Z');
+  assert.equal(zonedTimeToUtc(day('2026-01-15'), 9, 'America/New_York').toISOString(), '2026-01-15T14:00:00.000Z');
+  assert.equal(zonedTimeToUtc(day('2026-07-15'), 9, 'America/New_York').toISOString(), '2026-07-15T13:00:00.000Z');
+});
+
+test('zonedTimeToUtc lands on the requested hour on DST change days', () => {
+  // New York springs forward at 02:00 on 2026-03-08 and falls back on 2026-11-01
+  assert.equal(zonedTimeToUtc(day('2026-03-08'), 9, 'America/New_York').toISOString(), '2026-03-08T13:00:00.000Z');
+  assert.equal(zonedTimeToUtc(day('2026-11-01'), 9, 'America/New_York').toISOString(), '2026-11-01T14:00:00.000Z');
+});
+
+test('planned due_at follows the mother\'s zone across DST', () => {
+  const reminders = planReminders(babyBorn('2026-01-01'), SCHEDULE, {
+    now: new Date('2026-01-01T00:00:00Z'),
+    timezone: 'America/New_York',
+    reminderHour: 9,
+    leadDays: [0]
+  });
+  const dueAt = (vaccine) => reminders.find(r => r.vaccine === vaccine).due_at;
+  // 6 weeks (2026-02-12, EST) and 9 months (2026-09-28, EDT)
+  assert.equal(dueAt('bOPV 1'), '2026-02-12T14:00:00.000Z');
+  assert.equal(dueAt('Measles-Rubella 1'), '2026-09-28T13:00:00.000Z');
+});
+
+test('isValidTimeZone accepts IANA names only', () => {
+  assert.equal(isValidTimeZone('Africa/Nairobi'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus'), false);
+  assert.equal(isValidTimeZone(''), false);
+});
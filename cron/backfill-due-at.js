@@ -0,0 +1,44 @@
+// File: cron/backfill-due-at.js
+// One-off: gives unsent reminders written before the ByDueAt index their
+// due_at, so the dispatcher finds them, and expires those whose
+// vaccination day has already passed instead. Run once after deploying,
+// e.g. `node local.js backfill-due-at`; running it again changes nothing.
+import { connectDB, getDB } from "./db.js";
+import { expiredFields, vaccinationPassed } from "./expiry.js";
+
+export const handler = async () => {
+  const now = new Date();
+  const nowISO = now.toISOString();
+  try {
+    // 1) ensure storage is initialized
+    await connectDB();
+    const db = getDB();
+
+    // 2) Every unsent reminder without a due_at (a full scan, hence one-off)
+    const missing = (await db.reminders.list())
+      .filter(r => r.sent === "false" && !r.due_at);
+
+    // 3) Their mothers, for the time zone their vaccination days are read in
+    const mothers = new Map((await db.mothers.getMany(missing.map(r => r.motherId).filter(Boolean)))
+      .map(m => [m.userId, m]));
+
+    // 4) Expired if the vaccination day is over, otherwise due when it was
+    //    scheduled or at its next retry; skipped if it was sent or deleted
+    //    in the meantime
+    let updated = 0;
+    let expired = 0;
+    for (const r of missing) {
+      const passed = vaccinationPassed(r, mothers.get(r.motherId), now);
+      const fields = passed ? expiredFields(nowISO) : { due_at: r.next_attempt_at ?? r.scheduled_at };
+      const item = await db.reminders.update(r.reminderId, fields, { when: { sent: "false" } });
+      if (item && passed) expired++;
+      else if (item) updated++;
+    }
+
+    console.info(`Backfilled due_at on ${updated} reminder(s), expired ${expired}.`);
+    return { statusCode: 200, body: JSON.stringify({ missing: missing.length, updated, expired }) };
+  } catch (err) {
+    console.error("due_at backfill error:", err);
+    return { statusCode: 500, body: "due_at backfill failure." };
+  }
+};
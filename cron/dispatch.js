@@ -0,0 +1,379 @@
+// File: cron/dispatch.js
+import { connectDB, getDB } from "./db.js";
+import { expiredFields, vaccinationPassed } from "./expiry.js";
+import { channelsOf, createNotifier, createSmsGateway } from "./notify/index.js";
+import { toE164 } from "./notify/phone.js";
+import { deepLink, localeOf, render } from "./templates/index.js";
+
+let db;
+let notifier;
+let smsGateway;
+
+// Every reminder type the dispatcher sends. "reminder" items carry their
+// own offset_days; "weekly"/"daily" items predate configurable lead times.
+const REMINDER_TYPES = ["reminder", "weekly", "daily"];
+const LEGACY_OFFSET_DAYS = { weekly: 7, daily: 1 };
+
+// A reminder is claimed for CLAIM_MINUTES while it is being sent (longer
+// than a run can take, so a crashed run's claims simply expire). Failed
+// sends are retried after RETRY_BASE_MINUTES, doubling each time, until
+// MAX_ATTEMPTS have failed and the reminder is marked sent = "failed".
+const CLAIM_MINUTES = Number(process.env.DISPATCH_CLAIM_MINUTES) || 15;
+const RETRY_BASE_MINUTES = Number(process.env.DISPATCH_RETRY_BASE_MINUTES) || 30;
+const MAX_ATTEMPTS = Number(process.env.DISPATCH_MAX_ATTEMPTS) || 5;
+const MS_PER_MINUTE = 60 * 1000;
+
+// Due reminders are read PAGE_SIZE at a time; each page's babies are loaded
+// in batches and dispatched CONCURRENCY at a time. A run starts no new work
+// once its time budget is spent: TIME_BUDGET_SECONDS, or less if the Lambda
+// has less time left (keeping TIME_MARGIN_MS spare). Whatever is left stays
+// unsent and unclaimed for the next run.
+const PAGE_SIZE = Number(process.env.DISPATCH_PAGE_SIZE) || 100;
+const CONCURRENCY = Number(process.env.DISPATCH_CONCURRENCY) || 5;
+const TIME_BUDGET_SECONDS = Number(process.env.DISPATCH_TIME_BUDGET_SECONDS) || 240;
+const TIME_MARGIN_MS = 10 * 1000;
+
+async function ensureReady() {
+  if (!db) {
+    await connectDB();
+    db = getDB();
+    console.info("✅ Storage connected (reminder dispatcher)");
+  }
+  notifier ??= await createNotifier();
+  smsGateway ??= createSmsGateway();
+}
+
+function offsetDays(reminder) {
+  return reminder.offset_days ?? LEGACY_OFFSET_DAYS[reminder.type];
+}
+
+// Minutes to wait before retrying after the `attempts`-th failure
+function retryDelayMinutes(attempts) {
+  return RETRY_BASE_MINUTES * 2 ** (attempts - 1);
+}
+
+/**
+ * Runs `fn` over `items`, at most `limit` at a time, starting no new ones
+ * once `deadline` (epoch ms) has passed. Returns how many were started.
+ */
+async function forEachConcurrently(items, limit, fn, deadline = Infinity) {
+  let started = 0;
+  while (started < items.length && Date.now() < deadline) {
+    const chunk = items.slice(started, started + limit);
+    started += chunk.length;
+    await Promise.all(chunk.map(fn));
+  }
+  return started;
+}
+
+// Users a baby is shared with through an accepted invite (baby_shares)
+async function caregiversOf(babyId) {
+  const shares = await db.babyShares.listByBaby(babyId);
+  return shares
+    .filter(s => s.status === "active" && s.caregiverUserId)
+    .map(s => s.caregiverUserId);
+}
+
+/**
+ * Sends one group's reminder (one baby, date and lead time) to `user` on
+ * `channel`, in the user's language (see templates/). Returns false if the
+ * user has no address for that channel.
+ */
+async function deliver(channel, user, reminders, baby) {
+  const message = render("reminder", localeOf(user), {
+    name: user.full_name,
+    babyName: baby?.babyName,
+    vaccines: reminders.map(r => r.vaccine),
+    date: reminders[0].vaccination_date,
+    leadDays: offsetDays(reminders[0]),
+    link: deepLink(`/babies/${reminders[0].babyId}`)
+  });
+  if (channel === "sms") {
+    const to = toE164(user.phone_number);
+    if (!to) return false;
+    await smsGateway.send({ to, text: message.sms });
+    return true;
+  }
+  if (!user.email) return false;
+  await notifier.send({ to: user.email, subject: message.subject, text: message.text, html: message.html });
+  return true;
+}
+
+/**
+ * Everything needed to dispatch the babies of one page of due reminders:
+ * for each baby, all its due reminders (so a page break never splits one
+ * message) and its co-caregivers, plus the babies and every recipient,
+ * batch-loaded. A baby whose reminders or caregivers could not be read
+ * gets an `error` and falls back to its reminders on the page.
+ */
+async function loadPage(page, nowISO) {
+  const babyIds = [...new Set(page.map(r => r.babyId))];
+  const units = babyIds.map(babyId => ({ babyId }));
+
+  await forEachConcurrently(units, CONCURRENCY, async (unit) => {
+    try {
+      const unsent = await db.reminders.listByBaby(unit.babyId, { sent: "false" });
+      unit.reminders = unsent.filter(r => REMINDER_TYPES.includes(r.type) && r.due_at && r.due_at <= nowISO);
+      unit.caregivers = await caregiversOf(unit.babyId);
+    } catch (err) {
+      console.error(`Loading reminders of baby ${unit.babyId} failed:`, err);
+      unit.reminders = page.filter(r => r.babyId === unit.babyId);
+      unit.caregivers = [];
+      unit.error = "Baby lookup failed";
+    }
+  });
+
+  const babies = new Map((await db.babies.getMany(babyIds)).map(b => [b.babyId, b]));
+  const userIds = units.flatMap(u => [...u.reminders.map(r => r.motherId), ...u.caregivers]);
+  const users = new Map((await db.mothers.getMany(userIds)).map(m => [m.userId, m]));
+  return { units, babies, users };
+}
+
+/**
+ * Dispatches the due reminders of one baby (`unit`, see loadPage). Each
+ * reminder is claimed first, so overlapping or repeated runs never send it
+ * twice, and the outcome is recorded on it: sent, retry later (attempts,
+ * last_error, next_attempt_at) or, after MAX_ATTEMPTS, sent = "failed"
+ * with its failure_reason; one whose vaccination day has passed is marked
+ * sent = "expired" unsent. Recipients already reached (delivered_to) are
+ * skipped on a retry. Counts go into `summary`.
+ */
+async function dispatchBaby(unit, { babies, users }, { now, claimUntil, summary }) {
+  const nowISO = now.toISOString();
+
+  // 1) Leave out reminders waiting to be retried or claimed by a run still
+  //    going, and claim the rest; one another run got first is left to it
+  const ready = unit.reminders.filter(r => !(r.next_attempt_at > nowISO) && !(r.claimed_until > nowISO));
+  summary.due += unit.reminders.length;
+  summary.skipped += unit.reminders.length - ready.length;
+
+  const claimed = [];
+  for (const r of ready) {
+    try {
+      const item = await db.reminders.claim(r, claimUntil);
+      if (item) claimed.push(item);
+      else summary.skipped++;
+    } catch (err) {
+      console.error(`Claiming reminder ${r.reminderId} failed:`, err);
+      summary.skipped++;
+    }
+  }
+  if (!claimed.length) return;
+
+  // What happened to each claimed reminder: who got it and what went wrong
+  const outcomes = new Map(claimed.map(r => [r.reminderId, {
+    delivered: new Set(r.delivered_to ?? []),
+    errors: []
+  }]));
+  const failAll = (reminders, error) => reminders.forEach(r => outcomes.get(r.reminderId).errors.push(error));
+
+  // 2) Re-check the baby right before sending: reminders for vaccines
+  //    already administered (or a baby since deleted) are cancelled
+  const baby = babies.get(unit.babyId) ?? null;
+  let due = claimed;
+  if (unit.error) {
+    failAll(claimed, unit.error);
+    due = [];
+  } else {
+    const cancelled = claimed.filter(r => !baby || (baby.administered || []).some(a => a.vaccine === r.vaccine));
+    if (cancelled.length) {
+      await db.reminders.deleteMany(cancelled.map(r => r.reminderId));
+      cancelled.forEach(r => outcomes.delete(r.reminderId));
+      summary.cancelled += cancelled.length;
+      const reason = baby ? "for vaccines already given" : "as the baby no longer exists";
+      console.info(`Cancelled ${cancelled.length} reminder(s) of baby ${unit.babyId} ${reason}.`);
+      due = claimed.filter(r => !cancelled.includes(r));
+    }
+  }
+
+  // 2b) Too late to remind anyone: the vaccination day is over
+  const expired = due.filter(r => vaccinationPassed(r, users.get(r.motherId), now));
+  if (expired.length) {
+    for (const r of expired) {
+      outcomes.delete(r.reminderId);
+      try {
+        await db.reminders.release(r, expiredFields(nowISO));
+      } catch (err) {
+        console.error(`Expiring reminder ${r.reminderId} failed:`, err);
+      }
+    }
+    summary.expired += expired.length;
+    console.info(`Expired ${expired.length} reminder(s) of baby ${unit.babyId} whose vaccination date has passed.`);
+    due = due.filter(r => !expired.includes(r));
+  }
+
+  // 3) Group by recipient + vaccination date + lead time, one message per
+  //    group. Recipients are the mother and everyone the baby is shared
+  //    with, minus anyone an earlier attempt already reached.
+  const groups = {};
+  for (const r of due) {
+    const { delivered } = outcomes.get(r.reminderId);
+    const keys = [r.motherId, ...unit.caregivers]
+      .filter(userId => !delivered.has(userId))
+      .map(userId => `${userId}|${r.vaccination_date}|${offsetDays(r)}`);
+    for (const key of keys) {
+      if (!groups[key]) groups[key] = [];
+      groups[key].push(r);
+    }
+  }
+
+  // 4) For each group, send on every channel the recipient has enabled; a
+  //    failing group or channel doesn't stop the others
+  for (const [key, reminders] of Object.entries(groups)) {
+    const [userId] = key.split("|");
+    const user = users.get(userId);
+    if (!user) {
+      // A co-caregiver whose account is gone just drops out; the mother is needed
+      console.warn(`Recipient not found for ID ${userId}. Skipping.`);
+      failAll(reminders.filter(r => r.motherId === userId), `Mother ${userId} not found`);
+      continue;
+    }
+
+    let delivered = 0;
+    const errors = [];
+    for (const channel of channelsOf(user)) {
+      try {
+        if (await deliver(channel, user, reminders, baby)) {
+          delivered++;
+        } else {
+          console.warn(`No ${channel} address for recipient ${userId}. Skipping ${channel}.`);
+        }
+      } catch (err) {
+        console.error(`Reminder ${channel} to ${userId} failed:`, err);
+        errors.push(`${channel} to ${userId}: ${err.message}`);
+      }
+    }
+    summary.messages += delivered;
+
+    if (delivered) {
+      reminders.forEach(r => outcomes.get(r.reminderId).delivered.add(userId));
+    } else {
+      failAll(reminders, errors.length ? errors.join("; ") : `No address for ${userId} on ${channelsOf(user).join("/")}`);
+    }
+  }
+
+  // 5) Record each outcome and release the claim: sent, retry later, or failed for good
+  for (const r of claimed) {
+    if (!outcomes.has(r.reminderId)) continue; // cancelled or expired
+    const { delivered, errors } = outcomes.get(r.reminderId);
+    const fields = { delivered_to: [...delivered] };
+    if (!errors.length) {
+      Object.assign(fields, { sent: "true", sent_at: nowISO, due_at: undefined, next_attempt_at: undefined });
+      summary.sent++;
+    } else {
+      const attempts = (r.attempts ?? 0) + 1;
+      const error = errors.join("; ");
+      Object.assign(fields, {
+        attempts,
+        last_attempt_at: nowISO,
+        last_error: error,
+        error_log: [...(r.error_log ?? []), { at: nowISO, error }]
+      });
+      if (attempts >= MAX_ATTEMPTS) {
+        Object.assign(fields, {
+          sent: "failed",
+          failed_at: nowISO,
+          failure_reason: error,
+          due_at: undefined,
+          next_attempt_at: undefined
+        });
+        summary.failed++;
+        console.error(`Reminder ${r.reminderId} failed after ${attempts} attempts: ${error}`);
+      } else {
+        fields.next_attempt_at = new Date(now.getTime() + retryDelayMinutes(attempts) * MS_PER_MINUTE).toISOString();
+        fields.due_at = fields.next_attempt_at;
+        summary.retrying++;
+      }
+    }
+
+    try {
+      if (!await db.reminders.release(r, fields)) {
+        console.warn(`Reminder ${r.reminderId} changed while it was being sent; outcome not recorded.`);
+      }
+    } catch (err) {
+      // The claim expires on its own and the next run picks the reminder up again
+      console.error(`Recording reminder ${r.reminderId} failed:`, err);
+    }
+  }
+}
+
+/**
+ * Sends every reminder that has come due, page by page and baby by baby
+ * (see dispatchBaby), until done or out of time.
+ *
+ * Returns a per-run summary: pages read, babies handled, how many
+ * reminders were due, skipped (waiting for a retry or claimed elsewhere),
+ * cancelled, expired, sent, retrying and failed, how many messages went out, and
+ * whether the run stopped with work `unfinished`.
+ */
+export const handler = async (_event, context) => {
+  const now = new Date();
+  const nowISO = now.toISOString();
+  const claimUntil = new Date(now.getTime() + CLAIM_MINUTES * MS_PER_MINUTE).toISOString();
+  const lambdaLeft = context?.getRemainingTimeInMillis?.() ?? Infinity;
+  const deadline = now.getTime() + Math.min(TIME_BUDGET_SECONDS * 1000, lambdaLeft - TIME_MARGIN_MS);
+  const summary = {
+    pages: 0, babies: 0, due: 0, skipped: 0, cancelled: 0, expired: 0,
+    sent: 0, retrying: 0, failed: 0, messages: 0, unfinished: false
+  };
+
+  try {
+    // 1) ensure storage and the notifier are initialized
+    await ensureReady();
+
+    // 2) Page through every reminder type's pending reminders whose
+    //    due_at <= now (ByDueAt holds nothing else), oldest first. Each baby is handled once per
+    //    run, with all its due reminders, the first time a page names it.
+    const seen = new Set();
+    pages:
+    for (const type of REMINDER_TYPES) {
+      for await (const page of db.reminders.listDuePages(type, nowISO, { pageSize: PAGE_SIZE })) {
+        if (Date.now() >= deadline) {
+          summary.unfinished = true;
+          break pages;
+        }
+        summary.pages++;
+        const fresh = page.filter(r => !seen.has(r.babyId));
+        fresh.forEach(r => seen.add(r.babyId));
+        if (!fresh.length) continue;
+
+        // 3) Batch-load the page's babies and recipients; if that fails the
+        //    page is left as it is for the next run
+        let loaded;
+        try {
+          loaded = await loadPage(fresh, nowISO);
+        } catch (err) {
+          console.error("Loading a page of reminders failed:", err);
+          fresh.forEach(r => seen.delete(r.babyId));
+          summary.unfinished = true;
+          continue;
+        }
+
+        // 4) Dispatch its babies CONCURRENCY at a time while time remains
+        const started = await forEachConcurrently(loaded.units, CONCURRENCY, async (unit) => {
+          try {
+            await dispatchBaby(unit, loaded, { now, claimUntil, summary });
+          } catch (err) {
+            // Claims taken before the error expire and the next run retries
+            console.error(`Dispatching baby ${unit.babyId} failed:`, err);
+            summary.unfinished = true;
+          }
+        }, deadline);
+        summary.babies += started;
+        if (started < loaded.units.length) {
+          summary.unfinished = true;
+          break pages;
+        }
+      }
+    }
+
+    if (summary.unfinished) {
+      console.warn("Reminder dispatch stopped early; the rest is left for the next run.");
+    }
+    console.info("Reminder dispatch summary:", summary);
+    return { statusCode: 200, body: JSON.stringify(summary) };
+  } catch (err) {
+    console.error("Reminder dispatch error:", err);
+    return { statusCode: 500, body: JSON.stringify({ ...summary, unfinished: true, error: "Reminder dispatch failure." }) };
+  }
+};
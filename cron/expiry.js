@@ -0,0 +1,35 @@
+// File: cron/expiry.js
+// A reminder whose vaccination day is already over (e.g. a backlog left by
+// an outage, or legacy reminders backfilled late) must not go out: it would
+// read "due tomorrow" for a past date. Such reminders are marked
+// sent = "expired" instead.
+
+// Same default as the API's reminder preferences (reminders/preferences.js)
+const DEFAULT_TIMEZONE = "Africa/Nairobi";
+
+// The calendar day (YYYY-MM-DD) `date` falls on in `timeZone`
+function localDay(date, timeZone) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit"
+  }).format(date);
+}
+
+/**
+ * True once the vaccination day of `reminder` has passed in `mother`'s time
+ * zone (vaccination dates are whole UTC days).
+ */
+export function vaccinationPassed(reminder, mother, now = new Date()) {
+  if (!reminder.vaccination_date) return false;
+  const today = localDay(now, mother?.timezone || DEFAULT_TIMEZONE);
+  return String(reminder.vaccination_date).slice(0, 10) < today;
+}
+
+/**
+ * Fields that retire a reminder as expired (and drop it from ByDueAt).
+ */
+export function expiredFields(nowISO) {
+  return { sent: "expired", expired_at: nowISO, due_at: undefined, next_attempt_at: undefined };
+}
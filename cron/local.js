@@ -0,0 +1,6 @@
+// File: cron/local.js
+// Runs a cron handler once outside Lambda, e.g. `node local.js dispatch`.
+// Pair with DB_DRIVER=memory and the API's DB_FILE to work fully offline.
+const [, , job = "dispatch"] = process.argv;
+const { handler } = await import(`./${job}.js`);
+console.log(await handler({}));
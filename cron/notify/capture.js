@@ -0,0 +1,23 @@
+import fs from 'fs';
+import crypto from 'crypto';
+
+/**
+ * Sends nothing: every message is kept in `messages` and, with `file`,
+ * appended to it as one JSON line. For local runs and tests.
+ */
+export function createCaptureProvider({ file } = {}) {
+  const messages = [];
+
+  return {
+    messages,
+    async send(message) {
+      const captured = { messageId: crypto.randomUUID(), at: new Date().toISOString(), channel: 'email', ...message };
+      messages.push(captured);
+      if (file) {
+        fs.appendFileSync(file, JSON.stringify(captured) + '\n');
+      }
+      console.info(`[capture] ${message.to}: ${message.subject}`);
+      return { messageId: captured.messageId };
+    }
+  };
+}
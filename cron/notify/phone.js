@@ -0,0 +1,20 @@
+/**
+ * Phone numbers in E.164 ("+254712345678"). Profiles store Kenyan numbers
+ * as entered ("0712345678"); SMS gateways want the international form.
+ */
+export const DEFAULT_COUNTRY_CODE = process.env.SMS_DEFAULT_COUNTRY_CODE || '254';
+
+/**
+ * `phone` in E.164, or null if it cannot be a valid number. Local numbers
+ * (leading 0) get `countryCode`; "254..." and "00254..." get their "+".
+ */
+export function toE164(phone, countryCode = DEFAULT_COUNTRY_CODE) {
+  let digits = String(phone ?? '').trim().replace(/[\s\-().]/g, '');
+  if (digits.startsWith('+')) digits = digits.slice(1);
+  else if (digits.startsWith('00')) digits = digits.slice(2);
+  else if (digits.startsWith('0')) digits = countryCode + digits.slice(1);
+  else if (!digits.startsWith(countryCode)) digits = countryCode + digits;
+
+  // E.164: country code + subscriber number, at most 15 digits, no leading 0
+  return /^[1-9][0-9]{7,14}$/.test(digits) ? `+${digits}` : null;
+}
@@ -0,0 +1,26 @@
+import { SESClient, SendEmailCommand } from '@aws-sdk/client-ses';
+
+/**
+ * Sends through Amazon SES. The sender (`from`) must be a verified SES
+ * identity, and the Lambda role needs ses:SendEmail.
+ */
+export function createSesProvider({ from, region = process.env.AWS_REGION || 'us-east-1' }) {
+  const ses = new SESClient({ region });
+
+  return {
+    async send({ to, subject, text, html }) {
+      const { MessageId } = await ses.send(new SendEmailCommand({
+        Source: from,
+        Destination: { ToAddresses: [to] },
+        Message: {
+          Subject: { Data: subject, Charset: 'UTF-8' },
+          Body: {
+            Text: { Data: text, Charset: 'UTF-8' },
+            ...(html && { Html: { Data: html, Charset: 'UTF-8' } })
+          }
+        }
+      }));
+      return { messageId: MessageId };
+    }
+  };
+}
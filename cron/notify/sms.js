@@ -0,0 +1,67 @@
+import fs from 'fs';
+import crypto from 'crypto';
+
+/**
+ * SMS gateways. Each implements
+ *
+ *   send({ to, text }) -> { messageId }
+ *
+ * with `to` in E.164 (see phone.js), and throws if the gateway refuses.
+ */
+
+/**
+ * Africa's Talking bulk SMS (AT_USERNAME, AT_API_KEY, optional
+ * AT_SENDER_ID). AT_USERNAME=sandbox uses their sandbox.
+ */
+export function createAfricasTalkingGateway({
+  username = process.env.AT_USERNAME,
+  apiKey = process.env.AT_API_KEY,
+  senderId = process.env.AT_SENDER_ID
+} = {}) {
+  const url = username === 'sandbox'
+    ? 'https://api.sandbox.africastalking.com/version1/messaging'
+    : 'https://api.africastalking.com/version1/messaging';
+
+  return {
+    async send({ to, text }) {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: {
+          apiKey,
+          Accept: 'application/json',
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({ username, to, message: text, ...(senderId && { from: senderId }) })
+      });
+      if (!res.ok) {
+        throw new Error(`SMS gateway answered ${res.status}: ${await res.text()}`);
+      }
+      const [recipient] = (await res.json()).SMSMessageData?.Recipients ?? [];
+      if (!recipient || recipient.statusCode > 102) {
+        throw new Error(`SMS to ${to} rejected: ${recipient?.status ?? 'no recipient in response'}`);
+      }
+      return { messageId: recipient.messageId };
+    }
+  };
+}
+
+/**
+ * Sends nothing: keeps every SMS in `messages` and, with `file`, appends it
+ * as one JSON line. For local runs and tests.
+ */
+export function createFakeSmsGateway({ file } = {}) {
+  const messages = [];
+
+  return {
+    messages,
+    async send(message) {
+      const captured = { messageId: crypto.randomUUID(), at: new Date().toISOString(), channel: 'sms', ...message };
+      messages.push(captured);
+      if (file) {
+        fs.appendFileSync(file, JSON.stringify(captured) + '\n');
+      }
+      console.info(`[fake sms] ${message.to}: ${message.text.split('\n')[0]}`);
+      return { messageId: captured.messageId };
+    }
+  };
+}
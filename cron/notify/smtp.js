@@ -0,0 +1,24 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * Sends through an SMTP server: SMTP_HOST / SMTP_PORT (587), with
+ * SMTP_USER / SMTP_PASS if it needs a login. Without SMTP_HOST it falls
+ * back to Gmail with EMAIL_USER / EMAIL_PASS, like the API's own emails.
+ */
+export function createSmtpProvider({ from }) {
+  const auth = (user, pass) => (user ? { auth: { user, pass } } : {});
+  const transporter = nodemailer.createTransport(process.env.SMTP_HOST
+    ? {
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        ...auth(process.env.SMTP_USER, process.env.SMTP_PASS)
+      }
+    : { service: 'gmail', ...auth(process.env.EMAIL_USER, process.env.EMAIL_PASS) });
+
+  return {
+    async send({ to, subject, text, html }) {
+      const info = await transporter.sendMail({ from, to, subject, text, html });
+      return { messageId: info.messageId };
+    }
+  };
+}
@@ -0,0 +1,161 @@
+import fs from 'fs';
+
+const COMPARATORS = {
+  '=': (a, b) => a === b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  begins_with: (a, b) => typeof a === 'string' && a.startsWith(b)
+};
+
+// Value at a (possibly dotted) attribute path, like setPath() addresses it
+const getPath = (item, path) => path.split('.').reduce((obj, part) => obj?.[part], item);
+
+function matches(item, conditions = {}) {
+  return Object.entries(conditions).every(([attr, cond]) => {
+    const [op, value] = Array.isArray(cond) ? cond : ['=', cond];
+    const actual = getPath(item, attr);
+    if (value === null) return actual === undefined;
+    return actual !== undefined && COMPARATORS[op](actual, value);
+  });
+}
+
+function setPath(target, path, value) {
+  const parts = path.split('.');
+  const last = parts.pop();
+  const parent = parts.reduce((obj, part) => (obj[part] ??= {}), target);
+  if (value === undefined) {
+    delete parent[last];
+  } else {
+    parent[last] = value;
+  }
+}
+
+/**
+ * In-process store used for local development and tests. With `file` set,
+ * every write is flushed to that JSON file and reads pick up changes made
+ * by other processes (e.g. the API and a cron handler sharing one file).
+ */
+export function createMemoryStore({ file } = {}) {
+  let data = {};
+  let loadedAt = 0;
+
+  function load() {
+    if (!file) return;
+    try {
+      const { mtimeMs } = fs.statSync(file);
+      if (mtimeMs > loadedAt) {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        loadedAt = mtimeMs;
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+
+  function save() {
+    if (!file) return;
+    fs.writeFileSync(file, JSON.stringify(data, null, 2));
+    loadedAt = fs.statSync(file).mtimeMs;
+  }
+
+  /**
+   * Returns a table with the same interface as createDynamoTable().
+   */
+  function table(def) {
+    const rows = () => {
+      load();
+      return (data[def.name] ??= {});
+    };
+    const write = (fn) => {
+      const result = fn(rows());
+      save();
+      return structuredClone(result);
+    };
+
+    return {
+      async get(key) {
+        const item = rows()[key];
+        return item ? structuredClone(item) : null;
+      },
+
+      async getMany(keys) {
+        const r = rows();
+        return [...new Set(keys)].filter(key => r[key]).map(key => structuredClone(r[key]));
+      },
+
+      async put(item) {
+        return write(r => (r[item[def.key]] = structuredClone(item)));
+      },
+
+      async update(key, fields, { when } = {}) {
+        if (when && !(rows()[key] && matches(rows()[key], when))) return null;
+        return write(r => {
+          const item = (r[key] ??= { [def.key]: key });
+          for (const [path, value] of Object.entries(fields)) {
+            setPath(item, path, structuredClone(value));
+          }
+          return item;
+        });
+      },
+
+      async increment(key, attr, amount = 1, fields = {}) {
+        return write(r => {
+          const item = (r[key] ??= { [def.key]: key });
+          item[attr] = (item[attr] || 0) + amount;
+          for (const [path, value] of Object.entries(fields)) {
+            setPath(item, path, structuredClone(value));
+          }
+          return item;
+        });
+      },
+
+      async append(key, attr, entries) {
+        return write(r => {
+          const item = (r[key] ??= { [def.key]: key });
+          item[attr] = [...(item[attr] || []), ...structuredClone(entries)];
+          return item;
+        });
+      },
+
+      async delete(key) {
+        write(r => delete r[key]);
+      },
+
+      async query(indexName, hashValue, { range, filter } = {}) {
+        const index = def.indexes[indexName];
+        const conds = { [index.hash]: hashValue };
+        if (range) conds[index.range] = range;
+        const found = Object.values(rows())
+          .filter(item => matches(item, conds) && matches(item, filter));
+        if (index.range) {
+          found.sort((a, b) => String(a[index.range] ?? '').localeCompare(String(b[index.range] ?? '')));
+        }
+        return structuredClone(found);
+      },
+
+      async *queryPages(indexName, hashValue, { pageSize, ...options } = {}) {
+        const found = await this.query(indexName, hashValue, options);
+        const size = pageSize || found.length || 1;
+        for (let i = 0; i === 0 || i < found.length; i += size) {
+          yield found.slice(i, i + size);
+        }
+      },
+
+      async scan() {
+        return structuredClone(Object.values(rows()));
+      },
+
+      async putMany(items) {
+        write(r => items.forEach(item => (r[item[def.key]] = structuredClone(item))));
+      },
+
+      async deleteMany(keys) {
+        write(r => keys.forEach(key => delete r[key]));
+      }
+    };
+  }
+
+  return { table };
+}
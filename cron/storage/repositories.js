@@ -0,0 +1,132 @@
+/**
+ * Domain-level repositories over the generic tables. Route handlers and
+ * cron jobs talk to these, never to a storage backend directly.
+ *
+ * `table(name)` returns a generic table (see createDynamoTable) for one of
+ * the definitions in tables.js.
+ */
+export function createRepositories(table) {
+  const mothers = table('mothers');
+  const babies = table('babies');
+  const reminders = table('reminders');
+  const schedule = table('vaccination_schedule');
+  const scheduleAudit = table('schedule_audit');
+  const sessions = table('sessions');
+  const rateLimits = table('rate_limits');
+  const babyShares = table('baby_shares');
+
+  return {
+    mothers: {
+      get: (userId) => mothers.get(userId),
+      getMany: (userIds) => mothers.getMany(userIds),
+      async findByEmail(email) {
+        const [mother] = await mothers.query('EmailIndex', email);
+        return mother || null;
+      },
+      async findByPhone(phoneNumber) {
+        const [mother] = await mothers.query('PhoneNumberIndex', phoneNumber);
+        return mother || null;
+      },
+      create: (item) => mothers.put(item),
+      update: (userId, fields, options) => mothers.update(userId, fields, options),
+      delete: (userId) => mothers.delete(userId)
+    },
+
+    babies: {
+      get: (babyId) => babies.get(babyId),
+      getMany: (babyIds) => babies.getMany(babyIds),
+      list: () => babies.scan(),
+      listByMother: (motherUserId) => babies.query('MotherIndex', motherUserId),
+      listByClinic: (clinicId) => babies.query('ClinicIndex', clinicId),
+      listBySchedule: (scheduleId) => babies.query('ScheduleIndex', scheduleId),
+      create: (item) => babies.put(item),
+      update: (babyId, fields) => babies.update(babyId, fields),
+      appendAdministered: (babyId, entries) => babies.append(babyId, 'administered', entries),
+      delete: (babyId) => babies.delete(babyId)
+    },
+
+    babyShares: {
+      get: (shareId) => babyShares.get(shareId),
+      listByBaby: (babyId) => babyShares.query('ByBaby', babyId),
+      listByCaregiver: (userId) => babyShares.query('ByCaregiver', userId),
+      listByEmail: (email) => babyShares.query('ByEmail', email),
+      create: (item) => babyShares.put(item),
+      update: (shareId, fields) => babyShares.update(shareId, fields),
+      delete: (shareId) => babyShares.delete(shareId),
+      deleteMany: (shareIds) => babyShares.deleteMany(shareIds)
+    },
+
+    sessions: {
+      get: (sessionId) => sessions.get(sessionId),
+      listByUser: (userId) => sessions.query('ByUser', userId),
+      create: (item) => sessions.put(item),
+      update: (sessionId, fields, options) => sessions.update(sessionId, fields, options),
+      delete: (sessionId) => sessions.delete(sessionId),
+      deleteMany: (sessionIds) => sessions.deleteMany(sessionIds)
+    },
+
+    rateLimits: {
+      get: (key) => rateLimits.get(key),
+      put: (item) => rateLimits.put(item),
+      increment: (key, fields) => rateLimits.increment(key, 'count', 1, fields),
+      delete: (key) => rateLimits.delete(key)
+    },
+
+    reminders: {
+      /**
+       * All reminders for a baby; pass { sent: 'false' } for unsent only.
+       */
+      listByBaby: (babyId, { sent } = {}) => reminders.query('ByBaby', babyId,
+        sent !== undefined ? { range: sent } : {}),
+      /**
+       * Pending reminders of `type` whose due_at is at or before `nowISO`.
+       */
+      listDue: (type, nowISO) => reminders.query('ByDueAt', type, { range: ['<=', nowISO] }),
+      /**
+       * listDue() one page at a time, oldest due_at first, for callers that
+       * cannot hold every due reminder at once.
+       */
+      listDuePages: (type, nowISO, { pageSize } = {}) => reminders.queryPages('ByDueAt', type, {
+        range: ['<=', nowISO],
+        pageSize
+      }),
+      /**
+       * Every reminder, sent or not (a full scan: one-off maintenance only).
+       */
+      list: () => reminders.scan(),
+      update: (reminderId, fields, options) => reminders.update(reminderId, fields, options),
+      putMany: (items) => reminders.putMany(items),
+      deleteMany: (reminderIds) => reminders.deleteMany(reminderIds),
+      /**
+       * Claims `reminder` (as last read) for sending until `untilISO`.
+       * Only one dispatcher wins: returns the claimed item, or null if the
+       * reminder was sent, failed or claimed by someone else since.
+       */
+      claim: (reminder, untilISO) => reminders.update(reminder.reminderId, { claimed_until: untilISO }, {
+        when: { sent: 'false', claimed_until: reminder.claimed_until ?? null }
+      }),
+      /**
+       * Ends a claim, setting `fields` (e.g. sent, attempts). Returns null,
+       * writing nothing, if the claim was lost or the reminder deleted.
+       */
+      release: (claimed, fields) => reminders.update(claimed.reminderId, { ...fields, claimed_until: undefined }, {
+        when: { claimed_until: claimed.claimed_until }
+      })
+    },
+
+    schedule: {
+      get: (id) => schedule.get(id),
+      list: () => schedule.scan(),
+      put: (item) => schedule.put(item),
+      putMany: (items) => schedule.putMany(items)
+    },
+
+    scheduleAudit: {
+      record: (item) => scheduleAudit.put(item),
+      /**
+       * Audit records of one schedule, oldest first.
+       */
+      listBySchedule: (scheduleId) => scheduleAudit.query('BySchedule', scheduleId)
+    }
+  };
+}
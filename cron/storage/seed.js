@@ -0,0 +1,25 @@
+/**
+ * Kenya (KEPI) vaccination schedule, loaded into an empty local store so
+ * the API can plan reminders without a copy of the production table.
+ * Ages and intervals are in days (see api/schemas/schedule.schema.js).
+ */
+export const SCHEDULE_SEED = [
+  { id: 1, schedule_id: 'KEPI-2024', vaccine: 'BCG', series: 'BCG', dose: 1, age: 'Birth', earliest_age_days: 0, recommended_age_days: 0, latest_age_days: 1825, min_interval_days: null },
+  { id: 2, schedule_id: 'KEPI-2024', vaccine: 'bOPV 0', series: 'bOPV', dose: 0, age: 'Birth', earliest_age_days: 0, recommended_age_days: 0, latest_age_days: 14, min_interval_days: null },
+  { id: 3, schedule_id: 'KEPI-2024', vaccine: 'bOPV 1', series: 'bOPV', dose: 1, age: '6 weeks', earliest_age_days: 42, recommended_age_days: 42, latest_age_days: null, min_interval_days: 28 },
+  { id: 4, schedule_id: 'KEPI-2024', vaccine: 'DPT-HepB-Hib 1', series: 'DPT-HepB-Hib', dose: 1, age: '6 weeks', earliest_age_days: 42, recommended_age_days: 42, latest_age_days: null, min_interval_days: null },
+  { id: 5, schedule_id: 'KEPI-2024', vaccine: 'PCV10 1', series: 'PCV10', dose: 1, age: '6 weeks', earliest_age_days: 42, recommended_age_days: 42, latest_age_days: null, min_interval_days: null },
+  { id: 6, schedule_id: 'KEPI-2024', vaccine: 'Rotavirus 1', series: 'Rotavirus', dose: 1, age: '6 weeks', earliest_age_days: 42, recommended_age_days: 42, latest_age_days: 730, min_interval_days: null },
+  { id: 7, schedule_id: 'KEPI-2024', vaccine: 'bOPV 2', series: 'bOPV', dose: 2, age: '10 weeks', earliest_age_days: 70, recommended_age_days: 70, latest_age_days: null, min_interval_days: 28 },
+  { id: 8, schedule_id: 'KEPI-2024', vaccine: 'DPT-HepB-Hib 2', series: 'DPT-HepB-Hib', dose: 2, age: '10 weeks', earliest_age_days: 70, recommended_age_days: 70, latest_age_days: null, min_interval_days: 28 },
+  { id: 9, schedule_id: 'KEPI-2024', vaccine: 'PCV10 2', series: 'PCV10', dose: 2, age: '10 weeks', earliest_age_days: 70, recommended_age_days: 70, latest_age_days: null, min_interval_days: 28 },
+  { id: 10, schedule_id: 'KEPI-2024', vaccine: 'Rotavirus 2', series: 'Rotavirus', dose: 2, age: '10 weeks', earliest_age_days: 70, recommended_age_days: 70, latest_age_days: 730, min_interval_days: 28 },
+  { id: 11, schedule_id: 'KEPI-2024', vaccine: 'bOPV 3', series: 'bOPV', dose: 3, age: '14 weeks', earliest_age_days: 98, recommended_age_days: 98, latest_age_days: null, min_interval_days: 28 },
+  { id: 12, schedule_id: 'KEPI-2024', vaccine: 'DPT-HepB-Hib 3', series: 'DPT-HepB-Hib', dose: 3, age: '14 weeks', earliest_age_days: 98, recommended_age_days: 98, latest_age_days: null, min_interval_days: 28 },
+  { id: 13, schedule_id: 'KEPI-2024', vaccine: 'PCV10 3', series: 'PCV10', dose: 3, age: '14 weeks', earliest_age_days: 98, recommended_age_days: 98, latest_age_days: null, min_interval_days: 28 },
+  { id: 14, schedule_id: 'KEPI-2024', vaccine: 'IPV', series: 'IPV', dose: 1, age: '14 weeks', earliest_age_days: 98, recommended_age_days: 98, latest_age_days: null, min_interval_days: null },
+  { id: 15, schedule_id: 'KEPI-2024', vaccine: 'Vitamin A', series: 'Vitamin A', dose: 1, age: '6 months', earliest_age_days: 180, recommended_age_days: 180, latest_age_days: null, min_interval_days: null },
+  { id: 16, schedule_id: 'KEPI-2024', vaccine: 'Measles-Rubella 1', series: 'Measles-Rubella', dose: 1, age: '9 months', earliest_age_days: 270, recommended_age_days: 270, latest_age_days: null, min_interval_days: null },
+  { id: 17, schedule_id: 'KEPI-2024', vaccine: 'Yellow Fever', series: 'Yellow Fever', dose: 1, age: '9 months', earliest_age_days: 270, recommended_age_days: 270, latest_age_days: null, min_interval_days: null },
+  { id: 18, schedule_id: 'KEPI-2024', vaccine: 'Measles-Rubella 2', series: 'Measles-Rubella', dose: 2, age: '18 months', earliest_age_days: 540, recommended_age_days: 540, latest_age_days: null, min_interval_days: 28 }
+];
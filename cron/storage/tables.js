@@ -0,0 +1,68 @@
+/**
+ * Table definitions shared by every storage backend: the physical table
+ * name (overridable through the TABLE_* variables in template.yml), the
+ * partition key, and the GSIs the code queries.
+ */
+export const TABLES = {
+  mothers: {
+    name: process.env.TABLE_MOTHERS || 'mothers',
+    key: 'userId',
+    indexes: {
+      EmailIndex: { hash: 'email' },
+      PhoneNumberIndex: { hash: 'phone_number' }
+    }
+  },
+  babies: {
+    name: process.env.TABLE_BABIES || 'babies',
+    key: 'babyId',
+    indexes: {
+      MotherIndex: { hash: 'motherUserId' },
+      ClinicIndex: { hash: 'clinicId' },
+      ScheduleIndex: { hash: 'scheduleId' }
+    }
+  },
+  reminders: {
+    name: process.env.TABLE_REMINDERS || 'reminders',
+    key: 'reminderId',
+    indexes: {
+      ByBaby: { hash: 'babyId', range: 'sent' },
+      // Sparse: only pending reminders carry due_at (see planner.js), so
+      // the dispatcher never reads through sent or failed ones
+      ByDueAt: { hash: 'type', range: 'due_at' }
+    }
+  },
+  vaccination_schedule: {
+    name: process.env.TABLE_SCHEDULE || 'vaccination_schedule',
+    key: 'id',
+    indexes: {}
+  },
+  sessions: {
+    name: process.env.TABLE_SESSIONS || 'sessions',
+    key: 'sessionId',
+    indexes: {
+      ByUser: { hash: 'userId' }
+    }
+  },
+  rate_limits: {
+    name: process.env.TABLE_RATE_LIMITS || 'rate_limits',
+    key: 'key',
+    indexes: {}
+  },
+  baby_shares: {
+    name: process.env.TABLE_BABY_SHARES || 'baby_shares',
+    key: 'shareId',
+    indexes: {
+      ByBaby: { hash: 'babyId' },
+      ByCaregiver: { hash: 'caregiverUserId' },
+      // Invites still pending have no caregiver yet, only an address
+      ByEmail: { hash: 'email' }
+    }
+  },
+  schedule_audit: {
+    name: process.env.TABLE_SCHEDULE_AUDIT || 'schedule_audit',
+    key: 'auditId',
+    indexes: {
+      BySchedule: { hash: 'schedule_id', range: 'at' }
+    }
+  }
+};
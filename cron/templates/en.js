@@ -0,0 +1,221 @@
+/**
+ * English messages. Each template takes its variables and returns
+ * { subject, text, html } (and `sms` where a message can go by SMS).
+ */
+import { formatDate, html } from './helpers.js';
+
+const SIGN_OFF = 'Chanjo Chonjo';
+
+// "today", "tomorrow", "in 3 days", ...
+function describeLead(days) {
+  if (days === 0) return 'today';
+  if (days === 1) return 'tomorrow';
+  return `in ${days} days`;
+}
+
+const greeting = (name) => (name ? `Dear ${name},` : 'Hello,');
+
+export default {
+  /**
+   * { name, babyName, vaccines: [..], date, leadDays, link }
+   */
+  reminder({ name, babyName, vaccines, date, leadDays, link }) {
+    const baby = babyName || 'Your baby';
+    const when = `${describeLead(leadDays)} (${formatDate(date, 'en')})`;
+    return {
+      subject: `${baby}'s vaccinations are due ${describeLead(leadDays)}`,
+      text: [
+        greeting(name),
+        '',
+        `${baby} has the following vaccinations due ${when}:`,
+        '',
+        ...vaccines.map(v => `  • ${v}`),
+        '',
+        `See the full schedule: ${link}`,
+        '',
+        'Regards,',
+        SIGN_OFF
+      ].join('\n'),
+      html: html`
+        <p>${greeting(name)}</p>
+        <p>${baby} has the following vaccinations due ${when}:</p>
+        <ul>${vaccines.map(v => html`<li>${v}</li>`)}</ul>
+        <p><a href="${link}">See ${babyName ? `${babyName}'s` : 'the'} full schedule</a></p>
+        <p>Regards,<br/>${SIGN_OFF}</p>
+      `,
+      sms: `Chanjo: ${baby} has vaccinations due ${when}: ${vaccines.join(', ')}. ${link}`
+    };
+  },
+
+  /**
+   * { password, minutes, link }
+   */
+  temporaryPassword({ password, minutes, link }) {
+    return {
+      subject: 'Your Temporary Password',
+      text: [
+        'Hello,',
+        '',
+        `Welcome to Chanjo! Here's your temporary password: ${password}`,
+        '',
+        `Please log in at ${link} and reset your password within ${minutes} minutes.`,
+        '',
+        'Best,',
+        SIGN_OFF
+      ].join('\n'),
+      html: html`
+        <p>Hello,</p>
+        <p>Welcome to Chanjo! Here's your temporary password:</p>
+        <p><strong>${password}</strong></p>
+        <p>Please <a href="${link}">log in</a> and reset your password within ${minutes} minutes.</p>
+        <p>Best,<br/>${SIGN_OFF}</p>
+      `
+    };
+  },
+
+  /**
+   * { link }
+   */
+  accountExists({ link }) {
+    return {
+      subject: 'You already have a Chanjo account',
+      text: [
+        'Hello,',
+        '',
+        'Someone (hopefully you) tried to sign up to Chanjo with this email address, but you already have an account.',
+        '',
+        `Just log in at ${link}. If you have forgotten your password, use "Forgot password" on the login page to get a reset code.`,
+        '',
+        "If this wasn't you, you can ignore this email.",
+        '',
+        'Best,',
+        SIGN_OFF
+      ].join('\n'),
+      html: html`
+        <p>Hello,</p>
+        <p>Someone (hopefully you) tried to sign up to Chanjo with this email address,
+           but you already have an account.</p>
+        <p>Just <a href="${link}">log in</a>. If you have forgotten your password, use "Forgot password"
+           on the login page to get a reset code.</p>
+        <p>If this wasn't you, you can ignore this email.</p>
+        <p>Best,<br/>${SIGN_OFF}</p>
+      `
+    };
+  },
+
+  /**
+   * { code, minutes, link }
+   */
+  passwordResetCode({ code, minutes, link }) {
+    return {
+      subject: 'Your password reset code',
+      text: [
+        'Hello,',
+        '',
+        `Use this code to choose a new password: ${code}`,
+        '',
+        `Enter it at ${link}. It expires in ${minutes} minutes and can only be used once.`,
+        'If you did not ask to reset your password, you can ignore this email.',
+        '',
+        'Best,',
+        SIGN_OFF
+      ].join('\n'),
+      html: html`
+        <p>Hello,</p>
+        <p>Use this code to <a href="${link}">choose a new password</a>:</p>
+        <p><strong>${code}</strong></p>
+        <p>It expires in ${minutes} minutes and can only be used once.
+           If you did not ask to reset your password, you can ignore this email.</p>
+        <p>Best,<br/>${SIGN_OFF}</p>
+      `
+    };
+  },
+
+  /**
+   * { link }
+   */
+  passwordChanged({ link }) {
+    return {
+      subject: 'Your password has been changed',
+      text: [
+        'Hello,',
+        '',
+        'This is a confirmation that your password was successfully changed.',
+        `If you did not perform this action, please reset it at ${link} and contact support immediately.`,
+        '',
+        'Regards,',
+        SIGN_OFF
+      ].join('\n'),
+      html: html`
+        <p>Hello,</p>
+        <p>This is a confirmation that your password was successfully changed.</p>
+        <p>If you did not perform this action, please <a href="${link}">reset it</a>
+           and contact support immediately.</p>
+        <p>Regards,<br/>${SIGN_OFF}</p>
+      `
+    };
+  },
+
+  /**
+   * {}
+   */
+  accountDeleted() {
+    return {
+      subject: 'Your Chanjo account has been deleted',
+      text: [
+        'Hello,',
+        '',
+        "As requested, your Chanjo account has been deleted, together with your babies' details, vaccination records and reminders.",
+        '',
+        'You will not receive any more reminders from us. If you did not ask for this, please contact support.',
+        '',
+        'Best,',
+        SIGN_OFF
+      ].join('\n'),
+      html: html`
+        <p>Hello,</p>
+        <p>As requested, your Chanjo account has been deleted, together with your
+           babies' details, vaccination records and reminders.</p>
+        <p>You will not receive any more reminders from us. If you did not ask for
+           this, please contact support.</p>
+        <p>Best,<br/>${SIGN_OFF}</p>
+      `
+    };
+  },
+
+  /**
+   * { inviterName, babyName, permission: 'view' | 'edit', token, days, link }
+   */
+  caregiverInvite({ inviterName, babyName, permission, token, days, link }) {
+    const follow = permission === 'edit'
+      ? `follow ${babyName}'s vaccinations on Chanjo and record the ones given`
+      : `follow ${babyName}'s vaccinations on Chanjo`;
+    return {
+      subject: `${inviterName} shared ${babyName}'s vaccinations with you`,
+      text: [
+        'Hello,',
+        '',
+        `${inviterName} has invited you to ${follow}. You will also get ${babyName}'s vaccination reminders.`,
+        '',
+        `Accept the invite at ${link} after logging in (or signing up) with this email address,`,
+        `or enter this code in the app: ${token}`,
+        '',
+        `It expires in ${days} days. If you don't know ${inviterName}, you can ignore this email.`,
+        '',
+        'Best,',
+        SIGN_OFF
+      ].join('\n'),
+      html: html`
+        <p>Hello,</p>
+        <p>${inviterName} has invited you to ${follow}. You will also get
+           ${babyName}'s vaccination reminders.</p>
+        <p>Log in (or sign up) with this email address and
+           <a href="${link}">accept the invite</a>, or enter this code in the app:</p>
+        <p><strong>${token}</strong></p>
+        <p>It expires in ${days} days. If you don't know ${inviterName},
+           you can ignore this email.</p>
+        <p>Best,<br/>${SIGN_OFF}</p>
+      `
+    };
+  }
+};
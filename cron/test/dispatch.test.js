@@ -0,0 +1,152 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The dispatcher on the in-memory store, messages captured to a file; set
+// before the modules that read them load
+const captureFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'chanjo-dispatch-')), 'messages.jsonl');
+process.env.DB_DRIVER = 'memory';
+delete process.env.DB_FILE;
+process.env.NOTIFY_PROVIDER = 'capture';
+process.env.SMS_GATEWAY = 'fake';
+process.env.NOTIFY_CAPTURE_FILE = captureFile;
+process.env.DISPATCH_MAX_ATTEMPTS = '2';
+process.env.DISPATCH_RETRY_BASE_MINUTES = '30';
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+const iso = (offsetMs) => new Date(Date.now() + offsetMs).toISOString();
+const dayISO = (offsetDays) => `${iso(offsetDays * MS_PER_DAY).split('T')[0]}T00:00:00.000Z`;
+
+let db;
+let handler;
+
+before(async () => {
+  const { connectDB } = await import('../db.js');
+  db = await connectDB();
+  ({ handler } = await import('../dispatch.js'));
+});
+
+// Messages captured so far for `to`
+function messagesTo(to) {
+  if (!fs.existsSync(captureFile)) return [];
+  return fs.readFileSync(captureFile, 'utf8').trim().split('\n')
+    .map(line => JSON.parse(line))
+    .filter(m => m.to === to);
+}
+
+/**
+ * A mother, her baby and one reminder for it that came due an hour ago,
+ * for a vaccination tomorrow. Returns the reminder id.
+ */
+async function dueReminder(name, { mother = {}, baby = {}, reminder = {} } = {}) {
+  const userId = `mother-${name}`;
+  const babyId = `baby-${name}`;
+  await db.mothers.create({ userId, email: `${name}@example.com`, full_name: 'Jane Doe', ...mother });
+  await db.babies.create({ babyId, motherUserId: userId, babyName: 'Amani Doe', dateOfBirth: dayISO(-41), ...baby });
+  const dueAt = iso(-60 * MS_PER_MINUTE);
+  const item = {
+    reminderId: `${babyId}#bOPV 1#1d`,
+    motherId: userId,
+    babyId,
+    vaccine: 'bOPV 1',
+    vaccination_date: dayISO(1),
+    scheduled_at: dueAt,
+    due_at: dueAt,
+    sent: 'false',
+    type: 'reminder',
+    offset_days: 1,
+    ...reminder
+  };
+  await db.reminders.putMany([item]);
+  return item.reminderId;
+}
+
+const reminderById = async (babyId, reminderId) =>
+  (await db.reminders.listByBaby(babyId)).find(r => r.reminderId === reminderId);
+
+test('sends a due reminder once and marks it sent', async () => {
+  const id = await dueReminder('sent');
+  const res = await handler({});
+  assert.equal(res.statusCode, 200);
+
+  const sent = await reminderById('baby-sent', id);
+  assert.equal(sent.sent, 'true');
+  assert.ok(sent.sent_at);
+  assert.equal(sent.due_at, undefined);
+  assert.equal(sent.claimed_until, undefined);
+  assert.deepEqual(sent.delivered_to, ['mother-sent']);
+  assert.equal(messagesTo('sent@example.com').length, 1);
+
+  await handler({});
+  assert.equal(messagesTo('sent@example.com').length, 1);
+});
+
+test('concurrent runs claim a reminder only once', async () => {
+  await dueReminder('race');
+  await Promise.all([handler({}), handler({})]);
+  assert.equal(messagesTo('race@example.com').length, 1);
+});
+
+test('leaves a reminder claimed by another run alone', async () => {
+  const claimedUntil = iso(10 * MS_PER_MINUTE);
+  const id = await dueReminder('claimed', { reminder: { claimed_until: claimedUntil } });
+  const summary = JSON.parse((await handler({})).body);
+
+  assert.ok(summary.skipped >= 1);
+  const reminder = await reminderById('baby-claimed', id);
+  assert.equal(reminder.sent, 'false');
+  assert.equal(reminder.claimed_until, claimedUntil);
+  assert.equal(messagesTo('claimed@example.com').length, 0);
+});
+
+test('retries a failed delivery with backoff, then marks it failed', async () => {
+  // No email address: every attempt fails
+  const id = await dueReminder('noaddress', { mother: { email: undefined } });
+
+  const startedAt = Date.now();
+  await handler({});
+  let reminder = await reminderById('baby-noaddress', id);
+  assert.equal(reminder.sent, 'false');
+  assert.equal(reminder.attempts, 1);
+  assert.match(reminder.last_error, /No address for mother-noaddress/);
+  assert.equal(reminder.error_log.length, 1);
+  assert.equal(reminder.due_at, reminder.next_attempt_at);
+  const delay = Date.parse(reminder.next_attempt_at) - startedAt;
+  assert.ok(delay >= 30 * MS_PER_MINUTE && delay < 31 * MS_PER_MINUTE);
+
+  // Not retried before next_attempt_at...
+  await handler({});
+  assert.equal((await reminderById('baby-noaddress', id)).attempts, 1);
+
+  // ...and given up on after DISPATCH_MAX_ATTEMPTS (2)
+  const past = iso(-MS_PER_MINUTE);
+  await db.reminders.update(id, { next_attempt_at: past, due_at: past });
+  await handler({});
+  reminder = await reminderById('baby-noaddress', id);
+  assert.equal(reminder.sent, 'failed');
+  assert.equal(reminder.attempts, 2);
+  assert.match(reminder.failure_reason, /No address/);
+  assert.equal(reminder.due_at, undefined);
+  assert.equal(reminder.next_attempt_at, undefined);
+});
+
+test('cancels reminders for doses already administered', async () => {
+  const id = await dueReminder('given', {
+    baby: { administered: [{ vaccine: 'bOPV 1', date: dayISO(-1).split('T')[0] }] }
+  });
+  await handler({});
+  assert.equal(await reminderById('baby-given', id), undefined);
+  assert.equal(messagesTo('given@example.com').length, 0);
+});
+
+test('expires reminders whose vaccination day has passed', async () => {
+  const id = await dueReminder('late', { reminder: { vaccination_date: dayISO(-3) } });
+  await handler({});
+  const reminder = await reminderById('baby-late', id);
+  assert.equal(reminder.sent, 'expired');
+  assert.equal(reminder.due_at, undefined);
+  assert.equal(messagesTo('late@example.com').length, 0);
+});